@@ -25,6 +25,10 @@ module.exports = function (eleventyConfig) {
   eleventyConfig.addPassthroughCopy("me");
 
   eleventyConfig.addPassthroughCopy("music");
+  // Served from the site so the vlog recorder doesn't depend on a CDN
+  eleventyConfig.addPassthroughCopy({
+    "node_modules/@ffmpeg/core/dist/umd": "ffmpeg",
+  });
 
   // Add plugins
   eleventyConfig.addPlugin(pluginRss);
@@ -0,0 +1,115 @@
+/**
+ * ByteStreamReader Class
+ * Pulls newline-terminated lines and fixed-length byte runs off a
+ * ReadableStream<Uint8Array>, buffering only as much as the caller asks for.
+ */
+class ByteStreamReader {
+    /**
+     * @param {ReadableStream<Uint8Array>} stream - The stream to read from.
+     */
+    constructor(stream) {
+        this.reader = stream.getReader();
+        this.chunks = []; // Buffered chunks, the first one possibly part-consumed
+        this.offset = 0; // Read position within chunks[0]
+        this.length = 0; // Unread bytes across all chunks
+        this.done = false;
+        this.decoder = new TextDecoder();
+    }
+
+    /**
+     * Reads the next chunk from the stream into the buffer.
+     * @returns {Promise<boolean>} False once the stream is exhausted.
+     */
+    async _fill() {
+        if (this.done) return false;
+        const { value, done } = await this.reader.read();
+        if (done) {
+            this.done = true;
+            return false;
+        }
+        if (value.length > 0) {
+            this.chunks.push(value);
+            this.length += value.length;
+        }
+        return true;
+    }
+
+    /**
+     * Removes n buffered bytes and returns them as one array.
+     * @param {number} n - Must not exceed this.length.
+     * @returns {Uint8Array}
+     */
+    _take(n) {
+        const out = new Uint8Array(n);
+        let written = 0;
+        while (written < n) {
+            const chunk = this.chunks[0];
+            const count = Math.min(n - written, chunk.length - this.offset);
+            out.set(chunk.subarray(this.offset, this.offset + count), written);
+            written += count;
+            this.offset += count;
+            if (this.offset === chunk.length) {
+                this.chunks.shift();
+                this.offset = 0;
+            }
+        }
+        this.length -= n;
+        return out;
+    }
+
+    /**
+     * @returns {number} Bytes before the first buffered newline, or -1 if none is buffered.
+     */
+    _newlineIndex() {
+        let position = 0;
+        for (let c = 0; c < this.chunks.length; c++) {
+            const chunk = this.chunks[c];
+            const start = c === 0 ? this.offset : 0;
+            const index = chunk.indexOf(10, start);
+            if (index !== -1) return position + index - start;
+            position += chunk.length - start;
+        }
+        return -1;
+    }
+
+    /**
+     * Reads up to the next newline, which is consumed but not returned.
+     * @returns {Promise<string|null>} The line, or null at the end of the stream.
+     */
+    async readLine() {
+        let index = this._newlineIndex();
+        while (index === -1 && await this._fill()) {
+            index = this._newlineIndex();
+        }
+        if (index === -1) {
+            if (this.length === 0) return null;
+            return this.decoder.decode(this._take(this.length));
+        }
+        const line = this.decoder.decode(this._take(index));
+        this._take(1);
+        return line;
+    }
+
+    /**
+     * Reads exactly n bytes.
+     * @param {number} n - The number of bytes to read.
+     * @returns {Promise<Uint8Array>}
+     */
+    async readBytes(n) {
+        while (this.length < n) {
+            if (!await this._fill()) {
+                throw new Error(`Unexpected end of stream: wanted ${n} bytes, ${this.length} left.`);
+            }
+        }
+        return this._take(n);
+    }
+
+    /**
+     * Stops reading and releases the underlying stream.
+     */
+    cancel() {
+        this.reader.cancel().catch(() => {});
+    }
+}
+
+export default ByteStreamReader;
@@ -0,0 +1,441 @@
+import { openDatabase } from './databases.js';
+import { SYNCED_STORES, syncedStore, changeId, recordChange, getChanges, getChange, onChange } from './change-log.js';
+
+const EXTENSION_NAME = 'kalv_sync';
+
+// Blob bytes are sent in pieces of at most this size, the usual BitTorrent block size
+const CHUNK_SIZE = 16 * 1024;
+
+// Anyone who knows the pairing code can connect, so nothing a peer sends is trusted:
+// these bound what one can make the page hold, and RECORD_FIELDS what it can store
+const MAX_JSON_BYTES = 4 * 1024 * 1024;
+const MAX_IDS = 100000; // Entries in one index or want message
+const MAX_RECORD_BYTES = 48 * 1024 * 1024; // A 20 MB original and its display version, with room to spare
+const MAX_INCOMING_BYTES = 64 * 1024 * 1024; // Declared bytes of one peer's unfinished records
+
+/**
+ * The fields a synced record may have, and their types. Blob fields arrive as chunks and
+ * are null in the record message; a '?' type also allows null.
+ */
+const RECORD_FIELDS = {
+  'kalvNotesDB/savedText': {
+    id: 'number?', uid: 'string', text: 'string', tags: 'strings', timestamp: 'number',
+    updatedAt: 'number?', editedAt: 'number?', deletedAt: 'number?',
+  },
+  'windowImage/images': {
+    id: 'string', name: 'string', original: 'blob', display: 'blob?', width: 'number?', height: 'number?',
+    timestamp: 'number',
+  },
+};
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function hasType(value, type) {
+  if (type.endsWith('?') && (value === null || value === undefined)) return true;
+  switch (type.replace('?', '')) {
+    case 'string': return typeof value === 'string';
+    case 'number': return Number.isFinite(value);
+    case 'strings': return Array.isArray(value) && value.every((item) => typeof item === 'string');
+    case 'blob': return value === null;
+    default: return false;
+  }
+}
+
+// A change entry naming a synced store, with its id matching the rest of it
+function isEntry(entry) {
+  return isPlainObject(entry)
+    && typeof entry.uid === 'string'
+    && Number.isFinite(entry.updatedAt)
+    && typeof entry.deleted === 'boolean'
+    && Boolean(syncedStore(entry.dbName, entry.storeName))
+    && entry.id === changeId(entry.dbName, entry.storeName, entry.uid);
+}
+
+/**
+ * Checks a record message against RECORD_FIELDS and the size limits.
+ * @returns {number|null} The total bytes of its Blobs, or null if it is not acceptable.
+ */
+function recordSize(message) {
+  const { entry, value, blobs } = message;
+  if (!isEntry(entry) || !Array.isArray(blobs)) return null;
+  if (entry.deleted) return blobs.length === 0 ? 0 : null;
+
+  const fields = RECORD_FIELDS[`${entry.dbName}/${entry.storeName}`];
+  const config = syncedStore(entry.dbName, entry.storeName);
+  if (!isPlainObject(value) || value[config.uidKey] !== entry.uid) return null;
+  if (!Object.keys(value).every((key) => fields[key])) return null;
+  if (!Object.entries(fields).every(([key, type]) => hasType(value[key], type))) return null;
+
+  let size = 0;
+  const keys = new Set();
+  for (const meta of blobs) {
+    if (!isPlainObject(meta) || !/^blob\??$/.test(fields[meta.key] || '') || keys.has(meta.key)
+      || typeof meta.type !== 'string' || !Number.isSafeInteger(meta.size) || meta.size < 0) return null;
+    keys.add(meta.key);
+    size += meta.size;
+  }
+  const required = Object.keys(fields).filter((key) => fields[key] === 'blob');
+  if (!required.every((key) => keys.has(key))) return null;
+  // Chunks name the record they belong to by its transfer number
+  if (size > 0 && !Number.isSafeInteger(message.transfer)) return null;
+  return size <= MAX_RECORD_BYTES ? size : null;
+}
+
+/**
+ * Packs a message as [4 byte JSON length][JSON][raw bytes of each part].
+ * @param {Object} message
+ * @param {Uint8Array[]} [parts=[]]
+ * @returns {Uint8Array}
+ */
+function encodeMessage(message, parts = []) {
+  const json = new TextEncoder().encode(JSON.stringify(message));
+  const bytes = new Uint8Array(4 + json.length + parts.reduce((total, part) => total + part.length, 0));
+  new DataView(bytes.buffer).setUint32(0, json.length);
+  bytes.set(json, 4);
+  let offset = 4 + json.length;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {{message: Object, payload: Uint8Array}}
+ */
+function decodeMessage(bytes) {
+  const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+  if (length > MAX_JSON_BYTES || 4 + length > bytes.length) {
+    throw new Error(`Sync message of ${bytes.length} bytes is malformed or too large.`);
+  }
+  return {
+    message: JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + length))),
+    payload: bytes.subarray(4 + length),
+  };
+}
+
+/**
+ * DeltosSync Class
+ * Keeps Deltos notes and images in sync between devices, peer-to-peer.
+ *
+ * Both devices join a torrent whose infohash is derived from a shared pairing code.
+ * No metadata ever exists for it; the tracker only introduces the peers, and all
+ * traffic goes over the `kalv_sync` wire extension:
+ *
+ * - index: change log entries [id, updatedAt, deleted]. The full log is sent on connect,
+ *   and single entries as local changes happen.
+ * - want: ids of entries the other side has a newer version of.
+ * - record: one entry plus its record, with its Blob fields listed but left out.
+ * - chunk: the next CHUNK_SIZE or fewer bytes of a record's Blobs, laid end to end.
+ *   A record is applied once all of its bytes have arrived.
+ *
+ * Messages that are malformed, for stores that aren't synced, or over the size limits are
+ * dropped. The newest updatedAt wins. Pages get a `deltos:synced` event on window after
+ * applying remote changes so they can redraw.
+ */
+class DeltosSync {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.trackers - Tracker URLs used to find the other device.
+   * @param {function(string): void} [options.onStatus] - Receives human readable status updates.
+   */
+  constructor({ trackers, onStatus = () => {} }) {
+    this.trackers = trackers;
+    this.onStatus = onStatus;
+    this.client = null;
+    this.torrent = null;
+    this.peers = new Set();
+    this.dbs = {}; // Open connections per synced database
+    this.applied = 0;
+    this.transfers = 0; // Numbers records sent, so their chunks can be told apart
+
+    onChange((entry) => this._sendIndex([...this.peers], [entry]));
+  }
+
+  /**
+   * Joins the sync swarm for a pairing code. Any device using the same code is synced with.
+   * @param {string} code
+   */
+  async pair(code) {
+    if (!window.WebTorrent) {
+      throw new Error('WebTorrent is not loaded on this page.');
+    }
+    if (!code.trim()) {
+      throw new Error('Enter a pairing code.');
+    }
+
+    this.unpair();
+    await this._seedChangeLog();
+
+    const infoHash = await this._infoHash(code.trim());
+    this.client = this.client || new WebTorrent();
+    const Extension = this._extension();
+
+    this.torrent = this.client.add(infoHash, { announce: this.trackers });
+    this.torrent.on('wire', (wire) => wire.use(Extension));
+    this.torrent.on('error', (err) => this.onStatus(`Sync error: ${err.message}`));
+    this.onStatus('Waiting for another device...');
+  }
+
+  unpair() {
+    if (this.torrent) {
+      this.torrent.destroy();
+      this.torrent = null;
+    }
+    this.peers.clear();
+    this.applied = 0;
+  }
+
+  // Hex SHA-1 of the code, in the shape of a torrent infohash
+  async _infoHash(code) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(`kalv-sync:${code}`));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Builds the wire extension class; bittorrent-protocol instantiates one per wire.
+   */
+  _extension() {
+    const sync = this;
+
+    class KalvSyncExtension {
+      constructor(wire) {
+        this.wire = wire;
+        this.incoming = new Map(); // Records waiting for their chunks, by transfer number
+        wire.on('close', () => sync._onPeerClosed(this));
+      }
+
+      onExtendedHandshake(handshake) {
+        if (handshake.m && handshake.m[EXTENSION_NAME]) {
+          sync._onPeer(this);
+        }
+      }
+
+      onMessage(bytes) {
+        sync._onMessage(this, bytes).catch((error) => console.error('Sync message failed:', error));
+      }
+
+      send(message, parts) {
+        this.wire.extended(EXTENSION_NAME, encodeMessage(message, parts));
+      }
+    }
+    KalvSyncExtension.prototype.name = EXTENSION_NAME;
+
+    return KalvSyncExtension;
+  }
+
+  async _onPeer(peer) {
+    this.peers.add(peer);
+    this._reportPeers();
+    this._sendIndex([peer], await getChanges());
+  }
+
+  _onPeerClosed(peer) {
+    this.peers.delete(peer);
+    this._reportPeers();
+  }
+
+  _reportPeers() {
+    const count = this.peers.size;
+    this.onStatus(count === 0
+      ? 'Waiting for another device...'
+      : `Syncing with ${count} ${count === 1 ? 'device' : 'devices'}. ${this.applied} changes received.`);
+  }
+
+  _sendIndex(peers, entries) {
+    if (peers.length === 0 || entries.length === 0) return;
+    const index = entries.map((entry) => [entry.id, entry.updatedAt, entry.deleted]);
+    peers.forEach((peer) => peer.send({ type: 'index', entries: index }));
+  }
+
+  async _onMessage(peer, bytes) {
+    const { message, payload } = decodeMessage(bytes);
+
+    if (!isPlainObject(message)) return;
+
+    if (message.type === 'index') {
+      if (!Array.isArray(message.entries) || message.entries.length > MAX_IDS) return;
+      const wanted = [];
+      for (const item of message.entries) {
+        if (!Array.isArray(item) || typeof item[0] !== 'string' || !Number.isFinite(item[1])) continue;
+        const [id, updatedAt] = item;
+        const local = await getChange(id);
+        if (!local || updatedAt > local.updatedAt) {
+          wanted.push(id);
+        } else if (local.updatedAt > updatedAt) {
+          await this._sendRecord(peer, id); // Ours is newer, pass it back
+        }
+      }
+      if (wanted.length > 0) peer.send({ type: 'want', ids: wanted });
+    } else if (message.type === 'want') {
+      if (!Array.isArray(message.ids) || message.ids.length > MAX_IDS) return;
+      for (const id of message.ids) {
+        if (typeof id === 'string') await this._sendRecord(peer, id);
+      }
+    } else if (message.type === 'record') {
+      const size = recordSize(message);
+      const incomingBytes = [...peer.incoming.values()].reduce((total, incoming) => total + incoming.size, 0);
+      if (size === null || incomingBytes + size > MAX_INCOMING_BYTES || peer.incoming.has(message.transfer)) {
+        console.warn('Ignoring a sync record that is malformed or too large.');
+      } else if (size === 0) {
+        await this._applyRecord(message, new Blob());
+      } else {
+        peer.incoming.set(message.transfer, { message: message, size: size, received: 0, chunks: [] });
+      }
+    } else if (message.type === 'chunk') {
+      const incoming = peer.incoming.get(message.transfer);
+      if (!incoming) return;
+      if (incoming.received + payload.length > incoming.size) {
+        console.warn('Dropping a sync record sent with more bytes than it declared.');
+        peer.incoming.delete(message.transfer);
+        return;
+      }
+      incoming.chunks.push(payload.slice());
+      incoming.received += payload.length;
+      if (incoming.received === incoming.size) {
+        peer.incoming.delete(message.transfer);
+        await this._applyRecord(incoming.message, new Blob(incoming.chunks));
+      }
+    }
+  }
+
+  async _db(dbName) {
+    if (!this.dbs[dbName]) {
+      this.dbs[dbName] = openDatabase(dbName, { onClose: () => delete this.dbs[dbName] });
+    }
+    return this.dbs[dbName];
+  }
+
+  /**
+   * Runs fn against a synced store in one transaction, resolving with fn's result once it completes.
+   */
+  async _withStore(dbName, storeName, mode, fn) {
+    const db = await this._db(dbName);
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      let result;
+      fn(transaction.objectStore(storeName), (value) => (result = value));
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  // Looks a record up by its uid, straight by key where the uid is the key
+  _getByUid(store, config, uid) {
+    return config.uidKey === store.keyPath ? store.get(uid) : store.index(config.uidKey).get(uid);
+  }
+
+  /**
+   * Adds change log entries for records written before change tracking existed.
+   */
+  async _seedChangeLog() {
+    const known = new Set((await getChanges()).map((entry) => entry.id));
+
+    for (const config of SYNCED_STORES) {
+      const records = await this._withStore(config.dbName, config.storeName, 'readonly', (store, done) => {
+        const request = store.getAll();
+        request.onsuccess = () => done(request.result);
+      });
+
+      for (const record of records) {
+        const uid = record[config.uidKey];
+        if (uid === undefined || known.has(changeId(config.dbName, config.storeName, uid))) continue;
+        const updatedAt = record.updatedAt || new Date(record.timestamp).getTime() || 0;
+        await recordChange(config.dbName, config.storeName, uid, { updatedAt: updatedAt, silent: true });
+      }
+    }
+  }
+
+  async _sendRecord(peer, id) {
+    const entry = await getChange(id);
+    if (!entry) return;
+    const config = syncedStore(entry.dbName, entry.storeName);
+    if (!config) return;
+
+    if (entry.deleted) {
+      peer.send({ type: 'record', entry: entry, value: null, blobs: [] });
+      return;
+    }
+
+    const record = await this._withStore(entry.dbName, entry.storeName, 'readonly', (store, done) => {
+      const request = this._getByUid(store, config, entry.uid);
+      request.onsuccess = () => done(request.result);
+    });
+    if (!record) return;
+
+    const value = { ...record };
+    const blobs = [];
+    const data = [];
+    for (const key in value) {
+      if (value[key] instanceof Blob) {
+        blobs.push({ key: key, type: value[key].type, size: value[key].size });
+        data.push(value[key]);
+        value[key] = null;
+      }
+    }
+
+    const transfer = this.transfers++;
+    peer.send({ type: 'record', entry: entry, value: value, blobs: blobs, transfer: transfer });
+
+    // Read a chunk at a time, so a large image is never held in memory twice over
+    const bytes = new Blob(data);
+    for (let offset = 0; offset < bytes.size; offset += CHUNK_SIZE) {
+      const chunk = new Uint8Array(await bytes.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+      peer.send({ type: 'chunk', transfer: transfer }, [chunk]);
+    }
+  }
+
+  /**
+   * @param {Object} message - A record message that recordSize() accepted.
+   * @param {Blob} data - The bytes of its Blob fields, laid end to end.
+   */
+  async _applyRecord(message, data) {
+    const entry = message.entry;
+    const config = syncedStore(entry.dbName, entry.storeName);
+
+    const local = await getChange(entry.id);
+    if (local && local.updatedAt >= entry.updatedAt) return;
+
+    await this._withStore(entry.dbName, entry.storeName, 'readwrite', (store) => {
+      const lookup = config.uidKey === store.keyPath
+        ? store.getKey(entry.uid)
+        : store.index(config.uidKey).getKey(entry.uid);
+
+      lookup.onsuccess = () => {
+        const localKey = lookup.result;
+        if (entry.deleted) {
+          if (localKey !== undefined) store.delete(localKey);
+          return;
+        }
+
+        const value = { ...message.value };
+        let offset = 0;
+        for (const meta of message.blobs) {
+          value[meta.key] = data.slice(offset, offset + meta.size, meta.type);
+          offset += meta.size;
+        }
+
+        // The sender's primary key means nothing here unless it is the uid itself
+        if (config.uidKey !== store.keyPath) {
+          delete value[store.keyPath];
+          if (localKey !== undefined) value[store.keyPath] = localKey;
+        }
+        store.put(value);
+      };
+    });
+
+    await recordChange(entry.dbName, entry.storeName, entry.uid, {
+      deleted: entry.deleted,
+      updatedAt: entry.updatedAt,
+      silent: true
+    });
+    this.applied++;
+    this._reportPeers();
+    window.dispatchEvent(new CustomEvent('deltos:synced', { detail: entry }));
+  }
+}
+
+export default DeltosSync;
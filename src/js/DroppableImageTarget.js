@@ -1,43 +1,209 @@
+import { openDatabase } from './databases.js';
+import { recordChange } from './change-log.js';
+
+/**
+ * The windowImage record for an image; without a resized version the original is displayed as is.
+ * @param {File|Blob} file
+ * @param {string} name
+ * @param {{blob: Blob, width: number, height: number}|null} resized
+ */
+function imageRecord(file, name, resized) {
+  return {
+    id: `image-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name,
+    original: new Blob([file], { type: file.type }),
+    display: resized ? resized.blob : null,
+    width: resized ? resized.width : null,
+    height: resized ? resized.height : null,
+    timestamp: Date.now()
+  };
+}
+
 class DroppableImageTarget {
-  constructor(divId) {
+  /**
+   * @param {string} divId - The ID of the drop target element.
+   * @param {Object} [options]
+   * @param {number} [options.maxHistory=20] - How many images to keep before evicting the oldest.
+   * @param {number} [options.maxDimension=1024] - Longest side of the downscaled display image.
+   * @param {string} [options.workerUrl='/js/image-worker.js'] - Where the resize worker is served from.
+   * @param {number} [options.maxFileSize=20MB] - Largest file accepted, in bytes.
+   */
+  constructor(divId, { maxHistory = 20, maxDimension = 1024, workerUrl = '/js/image-worker.js', maxFileSize = 20 * 1024 * 1024 } = {}) {
     this.div = document.getElementById(divId);
     if (!this.div) {
       console.error(`Element with ID '${divId}' not found.`);
       return;
     }
     this.dbName = 'windowImage';
-    this.dbVersion = 1;
     this.db = null;
+    this.maxHistory = maxHistory;
+    this.maxDimension = maxDimension;
+    this.maxFileSize = maxFileSize;
+    this.currentImageId = null;
+    this.imageUrls = new Map(); // Object URLs for the loaded images, keyed by image id
 
-    this.initDatabase().then(() => {
-      this.loadExistingImage();
-    });
+    // Output format and quality for the display version, remembered between visits
+    this.outputType = localStorage.getItem('kalvImageType') || 'image/webp';
+    this.outputQuality = parseFloat(localStorage.getItem('kalvImageQuality')) || 0.8;
+
+    this.worker = null;
+    this.pendingResizes = new Map();
+    if (window.Worker && window.OffscreenCanvas) {
+      this.worker = new Worker(workerUrl);
+      this.worker.onmessage = (event) => {
+        const { id, error } = event.data;
+        const pending = this.pendingResizes.get(id);
+        if (!pending) return;
+        this.pendingResizes.delete(id);
+        if (error) pending.reject(new Error(error));
+        else pending.resolve(event.data);
+      };
+      // A worker that failed to load or crashed answers nothing, so give up on it and
+      // store originals only from then on
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.worker.terminate();
+        this.worker = null;
+        this.rejectPendingResizes(new Error(`Resize worker failed: ${event.message || 'could not load it'}`));
+      };
+      this.worker.onmessageerror = () => this.rejectPendingResizes(new Error('Resize worker sent an unreadable reply'));
+    }
+
+    // Thumbnail strip sits directly under the drop target
+    this.historyStrip = document.createElement('div');
+    this.historyStrip.className = 'image-history';
+    this.div.after(this.historyStrip);
+    this.historyStrip.after(this.createOutputControls());
+
+    // Validation errors for the last batch of files
+    this.errorList = document.createElement('div');
+    this.errorList.className = 'image-errors';
+    this.historyStrip.before(this.errorList);
+
+    // Hidden picker so the window works without drag and drop
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = 'image/*';
+    this.fileInput.multiple = true;
+    this.fileInput.style.display = 'none';
+    this.div.after(this.fileInput);
+
+    // Images written by DeltosSync arrive straight in the database
+    window.addEventListener('deltos:synced', () => this.loadExistingImage());
+
+    this.initDatabase()
+      .then(() => {
+        this.loadExistingImage();
+      });
     this.setupEventListeners();
   }
 
   async initDatabase() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.dbVersion);
+    try {
+      this.db = await openDatabase(this.dbName);
+      console.log('Database opened successfully.');
+    } catch (error) {
+      console.error('IndexedDB error:', error);
+      throw error;
+    }
+  }
 
-      request.onerror = (event) => {
-        console.error('IndexedDB error:', event.target.errorCode);
-        reject('Error opening database');
-      };
+  createOutputControls() {
+    const controls = document.createElement('div');
+    controls.className = 'image-output';
 
-      request.onupgradeneeded = (event) => {
-        this.db = event.target.result;
-        this.db.createObjectStore('images', { keyPath: 'id' });
-      };
+    const typeSelect = document.createElement('select');
+    [['image/webp', 'WebP'], ['image/avif', 'AVIF']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === this.outputType;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.addEventListener('change', () => {
+      this.outputType = typeSelect.value;
+      localStorage.setItem('kalvImageType', this.outputType);
+    });
+    this.hideUnsupportedTypes(typeSelect);
 
-      request.onsuccess = (event) => {
-        this.db = event.target.result;
-        console.log('Database opened successfully.');
-        resolve();
-      };
+    const qualityInput = document.createElement('input');
+    qualityInput.type = 'range';
+    qualityInput.min = '0.1';
+    qualityInput.max = '1';
+    qualityInput.step = '0.05';
+    qualityInput.value = String(this.outputQuality);
+    qualityInput.title = 'Quality';
+    qualityInput.addEventListener('change', () => {
+      this.outputQuality = parseFloat(qualityInput.value);
+      localStorage.setItem('kalvImageQuality', String(this.outputQuality));
+    });
+
+    controls.append(typeSelect, qualityInput);
+    return controls;
+  }
+
+  /**
+   * Removes the formats this browser cannot encode, moving the choice to one it can.
+   * @param {HTMLSelectElement} typeSelect
+   */
+  async hideUnsupportedTypes(typeSelect) {
+    for (const option of Array.from(typeSelect.options)) {
+      if (!(await DroppableImageTarget.canEncode(option.value))) option.remove();
+    }
+    typeSelect.hidden = typeSelect.options.length === 0;
+    if (!typeSelect.hidden && typeSelect.value !== this.outputType) {
+      this.outputType = typeSelect.value;
+    }
+  }
+
+  /**
+   * Whether the canvas can encode a type; encoders hand back PNG for types they don't know.
+   * @param {string} type
+   * @returns {Promise<boolean>}
+   */
+  static async canEncode(type) {
+    if (!window.OffscreenCanvas) return false;
+    try {
+      const blob = await new OffscreenCanvas(1, 1).convertToBlob({ type: type });
+      return blob.type === type;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Builds the downscaled display version of an image in the worker.
+   * Resolves with null when workers or OffscreenCanvas are unavailable,
+   * in which case the original is displayed as is.
+   * @param {Blob} blob
+   * @returns {Promise<{blob: Blob, width: number, height: number}|null>}
+   */
+  resizeImage(blob) {
+    if (!this.worker) return Promise.resolve(null);
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    return new Promise((resolve, reject) => {
+      this.pendingResizes.set(id, { resolve, reject });
+      this.worker.postMessage({
+        id: id,
+        blob: blob,
+        maxDimension: this.maxDimension,
+        type: this.outputType,
+        quality: this.outputQuality
+      });
     });
   }
 
+  rejectPendingResizes(error) {
+    this.pendingResizes.forEach((pending) => pending.reject(error));
+    this.pendingResizes.clear();
+  }
+
   setupEventListeners() {
+    this.div.tabIndex = 0;
+    this.div.setAttribute('role', 'button');
+    this.div.title = 'Drop or click to add images, or select and paste';
+
     this.div.addEventListener('dragover', (event) => {
       event.preventDefault();
       this.div.style.backgroundColor = '#f0f0f0';
@@ -50,58 +216,201 @@ class DroppableImageTarget {
     this.div.addEventListener('drop', (event) => {
       event.preventDefault();
       this.div.style.backgroundColor = '';
+      this.handleFiles(event.dataTransfer.files);
+    });
 
-      const files = event.dataTransfer.files;
-      if (files.length > 0 && files[0].type.startsWith('image/')) {
-        const file = files[0];
-        this.storeImage(file);
+    this.div.addEventListener('click', () => this.fileInput.click());
+    this.div.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        this.fileInput.click();
       }
     });
+
+    this.fileInput.addEventListener('change', () => {
+      this.handleFiles(this.fileInput.files);
+      this.fileInput.value = ''; // Allow picking the same file again
+    });
+
+    document.addEventListener('paste', (event) => this.handlePaste(event));
+  }
+
+  /**
+   * Takes images from the clipboard, or an image URL pasted as text, while the image
+   * window has focus. Pastes anywhere else on the page, and into text fields, are left alone.
+   */
+  handlePaste(event) {
+    const clipboard = event.clipboardData;
+    if (!clipboard || !this.div.contains(document.activeElement)) return;
+
+    const target = event.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+    const files = Array.from(clipboard.files);
+    if (files.length > 0) {
+      event.preventDefault();
+      this.handleFiles(files);
+      return;
+    }
+
+    const text = clipboard.getData('text/plain').trim();
+    if (/^https?:\/\/\S+$/.test(text)) {
+      event.preventDefault();
+      this.fetchImageUrl(text);
+    }
   }
 
-  storeImage(file) {
+  async fetchImageUrl(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const blob = await response.blob();
+      const name = decodeURIComponent(new URL(url).pathname.split('/').pop()) || 'pasted-image';
+      this.handleFiles([new File([blob], name, { type: blob.type })]);
+    } catch (error) {
+      this.showErrors([`Could not fetch ${url}: ${error.message}`]);
+    }
+  }
+
+  /**
+   * Validates each file on its own and stores the valid ones in order.
+   * @param {FileList|File[]} fileList
+   */
+  async handleFiles(fileList) {
+    const files = Array.from(fileList);
+    const errors = [];
+    const valid = files.filter((file) => {
+      if (!file.type.startsWith('image/')) {
+        errors.push(`${file.name} is not an image.`);
+        return false;
+      }
+      if (file.size > this.maxFileSize) {
+        errors.push(`${file.name} is larger than ${Math.round(this.maxFileSize / (1024 * 1024))} MB.`);
+        return false;
+      }
+      return true;
+    });
+    this.showErrors(errors);
+
+    for (const file of valid) {
+      await this.storeImage(file);
+    }
+  }
+
+  showErrors(errors) {
+    this.errorList.replaceChildren(...errors.map((message) => {
+      const line = document.createElement('div');
+      line.textContent = message;
+      return line;
+    }));
+  }
+
+  async storeImage(file) {
     if (!this.db) {
       console.error('Database not initialized.');
       return;
     }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const imageData = event.target.result;
-      const transaction = this.db.transaction(['images'], 'readwrite');
-      const store = transaction.objectStore('images');
-
-      // Clear existing images before adding a new one
-      const clearRequest = store.clear();
-      clearRequest.onsuccess = () => {
-        console.log('Previous images cleared.');
-
-        const imageObject = {
-          id: 'current-image', // Use a fixed ID to ensure only one image is stored
-          name: file.name,
-          data: imageData,
-          timestamp: new Date()
-        };
-
-        const addRequest = store.add(imageObject);
-
-        addRequest.onsuccess = () => {
-          console.log('Image stored successfully!');
-          this.displayImage(imageData);
-        };
-
-        addRequest.onerror = (event) => {
-          console.error('Error storing image:', event.target.error);
-        };
-      };
+    let resized = null;
+    try {
+      resized = await this.resizeImage(file);
+    } catch (error) {
+      console.error('Error resizing image, keeping the original only:', error);
+    }
+    if (resized && resized.blob.type !== this.outputType) {
+      this.showErrors([`This browser cannot encode ${this.outputType}, so ${file.name} was resized as ${resized.blob.type}.`]);
+    }
+
+    const transaction = this.db.transaction(['images'], 'readwrite');
+    const store = transaction.objectStore('images');
+
+    const imageObject = imageRecord(file, file.name, resized);
+
+    const addRequest = store.add(imageObject);
 
-      clearRequest.onerror = (event) => {
-        console.error('Error clearing object store:', event.target.error);
+    addRequest.onsuccess = () => {
+      console.log('Image stored successfully!');
+      recordChange(this.dbName, 'images', imageObject.id);
+      this.currentImageId = imageObject.id;
+      this.evictOldImages(store);
+    };
+
+    addRequest.onerror = (event) => {
+      console.error('Error storing image:', event.target.error);
+    };
+
+    transaction.oncomplete = () => {
+      this.loadExistingImage();
+    };
+  }
+
+  /**
+   * Adds an image to the Deltos window from another page, such as a JustShare download.
+   * The history is trimmed next time Deltos stores an image.
+   * @param {Blob} blob - Must have an image type.
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  static async saveImage(blob, name) {
+    if (!blob.type.startsWith('image/')) {
+      throw new Error(`${name} is not an image.`);
+    }
+
+    const db = await openDatabase('windowImage');
+    const imageObject = imageRecord(blob, name, null);
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['images'], 'readwrite');
+      transaction.objectStore('images').add(imageObject);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+    db.close();
+    await recordChange('windowImage', 'images', imageObject.id);
+  }
+
+  /**
+   * Deletes the oldest images once the history grows past maxHistory.
+   * @param {IDBObjectStore} store - A store from an open readwrite transaction.
+   */
+  evictOldImages(store) {
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - this.maxHistory;
+      if (excess <= 0) return;
+
+      store.index('timestamp').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+        console.log(`Evicting old image: ${cursor.value.name}`);
+        cursor.delete();
+        recordChange(this.dbName, 'images', cursor.value.id, { deleted: true });
+        excess--;
+        cursor.continue();
       };
     };
-    reader.readAsDataURL(file);
   }
 
+  deleteImage(id) {
+    const transaction = this.db.transaction(['images'], 'readwrite');
+    transaction.objectStore('images').delete(id);
+
+    transaction.oncomplete = () => {
+      recordChange(this.dbName, 'images', id, { deleted: true });
+      if (this.currentImageId === id) this.currentImageId = null;
+      this.loadExistingImage();
+    };
+
+    transaction.onerror = (event) => {
+      console.error('Error deleting image:', event.target.error);
+    };
+  }
+
+  /**
+   * Loads the image history, oldest first, shows the current (or newest)
+   * image and redraws the thumbnail strip.
+   */
   loadExistingImage() {
     if (!this.db) {
       console.error('Database not initialized.');
@@ -110,16 +419,26 @@ class DroppableImageTarget {
 
     const transaction = this.db.transaction(['images'], 'readonly');
     const store = transaction.objectStore('images');
-    const request = store.get('current-image');
+    const request = store.index('timestamp').getAll();
 
     request.onsuccess = (event) => {
-      const imageObject = event.target.result;
-      if (imageObject) {
-        console.log('Existing image loaded from database.');
-        this.displayImage(imageObject.data);
-      } else {
+      const images = event.target.result;
+
+      this.imageUrls.forEach((url) => URL.revokeObjectURL(url));
+      this.imageUrls = new Map(images.map((image) => [image.id, URL.createObjectURL(image.display || image.original)]));
+
+      if (images.length === 0) {
         console.log('No existing image found.');
+        this.currentImageId = null;
+        this.div.innerHTML = '';
+        this.renderHistory(images);
+        return;
       }
+
+      const current = images.find((image) => image.id === this.currentImageId) || images[images.length - 1];
+      this.currentImageId = current.id;
+      this.displayImage(this.imageUrls.get(current.id));
+      this.renderHistory(images);
     };
 
     request.onerror = (event) => {
@@ -127,10 +446,41 @@ class DroppableImageTarget {
     };
   }
 
-  displayImage(dataUrl) {
+  renderHistory(images) {
+    const thumbs = images.map((image) => {
+      const thumb = document.createElement('span');
+      thumb.className = image.id === this.currentImageId ? 'current' : '';
+
+      const img = document.createElement('img');
+      img.src = this.imageUrls.get(image.id);
+      img.alt = image.name;
+      img.title = `${image.name} :: ${new Date(image.timestamp).toLocaleString()}`;
+      img.addEventListener('click', () => {
+        this.currentImageId = image.id;
+        this.displayImage(this.imageUrls.get(image.id));
+        this.renderHistory(images);
+      });
+
+      const remove = document.createElement('a');
+      remove.href = '#';
+      remove.textContent = 'x';
+      remove.title = `Delete ${image.name}`;
+      remove.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.deleteImage(image.id);
+      });
+
+      thumb.append(img, remove);
+      return thumb;
+    });
+
+    this.historyStrip.replaceChildren(...thumbs);
+  }
+
+  displayImage(url) {
     this.div.innerHTML = ''; // Clear previous content
     const img = document.createElement('img');
-    img.src = dataUrl;
+    img.src = url;
     img.style.maxWidth = '100%';
     img.style.maxHeight = '100%';
     this.div.appendChild(img);
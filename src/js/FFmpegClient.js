@@ -0,0 +1,136 @@
+/**
+ * FFmpegClient Class
+ * Runs ffmpeg in a dedicated worker (ffmpeg-worker.js) using the core the site serves
+ * from /ffmpeg, so nothing is fetched from a CDN. Nothing is downloaded until load()
+ * is first called. The core is single-threaded and doesn't need SharedArrayBuffer, but
+ * it is a 30 MB download, so callers should be ready to carry on without it.
+ */
+class FFmpegClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.workerUrl='/js/ffmpeg-worker.js']
+   * @param {string} [options.coreUrl='/ffmpeg/ffmpeg-core.js']
+   * @param {string} [options.wasmUrl='/ffmpeg/ffmpeg-core.wasm']
+   * @param {function(Object): void} [options.onProgress] - Gets { stage: 'load', loaded, total }
+   *   while the core downloads and { stage: 'exec', progress, time } while a command runs.
+   * @param {function(string): void} [options.onLog] - Gets each line ffmpeg logs.
+   */
+  constructor({
+    workerUrl = '/js/ffmpeg-worker.js',
+    coreUrl = '/ffmpeg/ffmpeg-core.js',
+    wasmUrl = '/ffmpeg/ffmpeg-core.wasm',
+    onProgress = () => {},
+    onLog = () => {},
+  } = {}) {
+    this.workerUrl = workerUrl;
+    this.coreUrl = new URL(coreUrl, window.location.href).href;
+    this.wasmUrl = new URL(wasmUrl, window.location.href).href;
+    this.onProgress = onProgress;
+    this.onLog = onLog;
+    this.worker = null;
+    this.loading = null;
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * @returns {boolean} Whether this browser can run the core at all.
+   */
+  static isSupported() {
+    return typeof WebAssembly === 'object' && typeof Worker === 'function';
+  }
+
+  /**
+   * Starts the worker and loads the core, once.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      if (!FFmpegClient.isSupported()) {
+        return Promise.reject(new Error('This browser cannot run ffmpeg (no WebAssembly or Worker support).'));
+      }
+
+      this.worker = new Worker(this.workerUrl);
+      this.worker.onmessage = (event) => this._onMessage(event.data);
+      this.worker.onerror = (event) => this._failAll(new Error(event.message || 'FFmpeg worker failed'));
+      this.loading = this._request('load', { coreUrl: this.coreUrl, wasmUrl: this.wasmUrl }).catch((error) => {
+        this.terminate();
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Blob|Uint8Array} data - A Uint8Array's buffer is transferred to the worker.
+   */
+  async writeFile(name, data) {
+    const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data;
+    return this._request('writeFile', { name, data: bytes }, [bytes.buffer]);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Uint8Array>}
+   */
+  readFile(name) {
+    return this._request('readFile', { name });
+  }
+
+  deleteFile(name) {
+    return this._request('deleteFile', { name });
+  }
+
+  /**
+   * Runs one ffmpeg command.
+   * @param {string[]} args - Arguments as on the command line, without "ffmpeg".
+   * @returns {Promise<void>} Rejects if ffmpeg exits with an error.
+   */
+  async exec(args) {
+    const code = await this._request('exec', { args });
+    if (code !== 0) {
+      throw new Error(`ffmpeg exited with code ${code}`);
+    }
+  }
+
+  terminate() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.loading = null;
+    this._failAll(new Error('FFmpeg worker stopped'));
+  }
+
+  _request(type, args, transfer = []) {
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...args }, transfer);
+    });
+  }
+
+  _onMessage(data) {
+    if (data.type === 'progress') {
+      const { type, ...progress } = data;
+      this.onProgress(progress);
+      return;
+    }
+    if (data.type === 'log') {
+      this.onLog(data.message);
+      return;
+    }
+
+    const pending = this.pending.get(data.id);
+    if (!pending) return;
+    this.pending.delete(data.id);
+    if (data.error) pending.reject(new Error(data.error));
+    else pending.resolve(data.result);
+  }
+
+  _failAll(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+}
+
+export default FFmpegClient;
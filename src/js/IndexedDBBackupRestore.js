@@ -1,69 +1,151 @@
+import { openDatabase, latestVersion } from './databases.js';
+import ByteStreamReader from './ByteStreamReader.js';
+import { createEncryption, openEncryption, encryptChunks, decryptChunks } from './disk-crypto.js';
+import { syncedStore, recordChange } from './change-log.js';
+import { createUid, withNumericTimestamp } from './record-fields.js';
+
+/**
+ * Identifies the streamed disk format; anything else is treated as a legacy JSON disk.
+ */
+const DISK_FORMAT = 'kalv-disk';
+const DISK_VERSION = 3;
+
+/**
+ * SHA-256 of the given byte arrays laid end to end.
+ * @param {Uint8Array[]} parts
+ * @returns {Promise<Uint8Array>}
+ */
+async function sha256(parts) {
+    const joined = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        joined.set(part, offset);
+        offset += part.length;
+    }
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', joined));
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Wraps an async iterator of byte chunks in a pull-based ReadableStream.
+ * @param {AsyncIterator<Uint8Array>} chunks
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function toReadableStream(chunks) {
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { value, done } = await chunks.next();
+                if (done) controller.close();
+                else controller.enqueue(value);
+            } catch (error) {
+                controller.error(error);
+            }
+        },
+        cancel() {
+            chunks.return();
+        }
+    });
+}
+
 /**
  * IndexedDBBackupRestore Class
  * Provides methods to backup and restore data from specified IndexedDB databases.
- * Handles conversion of File/Blob objects to Base64 for JSON serialization
- * and vice-versa during restoration. Skips items with a 'timestamp' property during restore.
+ *
+ * Disks are streamed as a sequence of frames. Each frame is one line of JSON; a
+ * record frame is followed by the raw bytes of any File/Blob values it holds,
+ * in the order listed in its `blobs` array:
+ *
+ *   {"type":"header","format":"kalv-disk","version":3}
+ *   {"type":"record","db":"windowImage","store":"images","value":{...},"blobs":[{"key":"original","type":"image/png","name":"a.png","size":1234}]}
+ *   <1234 bytes>
+ *   {"type":"manifest","formatVersion":3,"appVersion":"6.0.0","databases":{"windowImage":{"version":2,"stores":{"images":{"count":1,"sha256":"..."}}}}}
+ *   {"type":"end"}
+ *
+ * WebCrypto cannot hash incrementally, so a store's checksum is the SHA-256 of the
+ * SHA-256 of each of its record frames (JSON line plus Blob bytes), in disk order.
+ * Restore reads the whole disk once to check the manifest before writing anything.
+ *
+ * Encrypted disks carry an `encryption` block in the header; everything after the
+ * header line is then sealed in chunks (see disk-crypto.js).
+ *
+ * Legacy disks (a single JSON object with Base64 encoded files) can still be restored.
+ *
+ * Snapshots are unencrypted disks kept in their own database (kalvSnapshots) as restore
+ * points. One is taken before every restore and, once started, on a schedule.
  */
 class IndexedDBBackupRestore {
     /**
      * @param {string[]} dbNames - An array of IndexedDB database names to manage.
+     * @param {Object} [options]
+     * @param {number} [options.batchSize=50] - Records read or written per IndexedDB transaction.
+     * @param {string} [options.appVersion] - Recorded in the manifest of new disks.
+     * @param {number} [options.maxSnapshots=10] - Restore points kept before the oldest is dropped.
+     * @param {string[]} [options.snapshotDbNames=dbNames] - The databases restore points hold, for
+     *   leaving out ones too large to copy every time.
      */
-    constructor(dbNames) {
+    constructor(dbNames, { batchSize = 50, appVersion = 'unknown', maxSnapshots = 10, snapshotDbNames = dbNames } = {}) {
         if (!Array.isArray(dbNames) || dbNames.some(name => typeof name !== 'string')) {
             throw new Error("dbNames must be an array of strings.");
         }
         this.dbNames = dbNames;
-        this.dbConnections = {}; // Stores open IndexedDB connections
+        this.batchSize = batchSize;
+        this.appVersion = appVersion;
+        this.maxSnapshots = maxSnapshots;
+        this.snapshotDbNames = snapshotDbNames;
+        this.snapshotDbName = 'kalvSnapshots';
+        this.snapshotIntervalId = null;
+        this.dbConnections = {}; // Connection promises per database
+        this.activeOperations = 0; // Backups and restores still using the connections
+        this.activeRestores = 0; // The restores among them
+        this.closePending = false;
     }
 
     /**
      * Helper method to open an IndexedDB connection.
-     * Handles onupgradeneeded to create object stores if they don't exist.
+     * Schemas and migrations come from databases.js, so restore never has to guess
+     * at store key shapes; databases without a declared schema are rejected.
      * @param {string} dbName - The name of the IndexedDB database.
-     * @param {number} [version] - The version of the database. If higher than current, onupgradeneeded fires.
-     * @param {string[]} [objectStoreNames=[]] - Array of object store names to ensure existence during upgrade.
      * @returns {Promise<IDBDatabase>} A promise that resolves with the opened IDBDatabase object.
      */
-    async _openDB(dbName, version, objectStoreNames = []) {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(dbName, version);
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                objectStoreNames.forEach(storeName => {
-                    if (!db.objectStoreNames.contains(storeName)) {
-                        console.log(`Creating object store: ${storeName} in ${dbName}`);
-                        // Default keyPath 'id' and autoIncrement; adjust as needed for specific schemas.
-                        db.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
-                    }
-                });
-            };
-
-            request.onsuccess = (event) => {
-                const db = event.target.result;
-                this.dbConnections[dbName] = db; // Store the connection
-                resolve(db);
-            };
-
-            request.onerror = (event) => {
-                debugger;
-                reject(`Error opening DB ${dbName}: ${event.target.errorCode}`);
-            };
-        });
+    _openDB(dbName) {
+        if (!this.dbConnections[dbName]) {
+            const connection = openDatabase(dbName, {
+                // Another tab is upgrading the database; open a new connection next time
+                onClose: () => {
+                    if (this.dbConnections[dbName] === connection) delete this.dbConnections[dbName];
+                }
+            }).catch(error => {
+                delete this.dbConnections[dbName];
+                throw error;
+            });
+            this.dbConnections[dbName] = connection;
+        }
+        return this.dbConnections[dbName];
     }
 
     /**
-     * Helper method to convert a Blob or File object to a Base64 string.
-     * @param {Blob|File} file - The Blob or File object to convert.
-     * @returns {Promise<string>} A promise that resolves with the Base64 string.
+     * Runs a backup or restore, keeping closeConnections() from closing the connections
+     * it holds until every operation that was running has finished.
+     * @param {function(): Promise<*>} operation
+     * @returns {Promise<*>} The operation's result.
      */
-    _fileToBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = (error) => reject(error);
-            reader.readAsDataURL(file);
-        });
+    async _inUse(operation) {
+        this.activeOperations++;
+        try {
+            return await operation();
+        } finally {
+            this._release();
+        }
+    }
+
+    // Ends an operation counted in activeOperations, closing the connections if asked while it ran
+    _release() {
+        this.activeOperations--;
+        if (this.activeOperations === 0 && this.closePending) this.closeConnections();
     }
 
     /**
@@ -88,76 +170,581 @@ class IndexedDBBackupRestore {
     }
 
     /**
-     * Backs up all specified IndexedDB databases into a JSON string.
-     * Converts File/Blob objects to Base64 for JSON serialization.
-     * @returns {Promise<string>} A promise that resolves with the JSON string of the backup data.
+     * Reads the next batch of records after lastKey from an object store.
+     * Each batch gets its own short transaction, so the reader can take as long
+     * as it likes between batches without the transaction auto-committing.
+     * @param {IDBDatabase} db
+     * @param {string} storeName
+     * @param {*} [lastKey] - Primary key of the last record already read.
+     * @returns {Promise<{keys: Array, values: Array}>}
+     */
+    _readBatch(db, storeName, lastKey) {
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+            const range = lastKey === undefined ? null : IDBKeyRange.lowerBound(lastKey, true);
+            const keysRequest = store.getAllKeys(range, this.batchSize);
+            const valuesRequest = store.getAll(range, this.batchSize);
+
+            valuesRequest.onsuccess = () => resolve({ keys: keysRequest.result, values: valuesRequest.result });
+            keysRequest.onerror = valuesRequest.onerror = (event) => {
+                reject(new Error(`Error reading object store ${storeName}: ${event.target.error}`));
+            };
+        });
+    }
+
+    /**
+     * Yields every record of every store in the given databases, batch by batch.
+     * @param {string[]} dbNames
+     * @returns {AsyncGenerator<{dbName: string, storeName: string, value: Object}>}
+     */
+    async *_records(dbNames) {
+        for (const dbName of dbNames) {
+            const db = await this._openDB(dbName);
+
+            for (const storeName of Array.from(db.objectStoreNames)) {
+                let lastKey;
+                while (true) {
+                    const { keys, values } = await this._readBatch(db, storeName, lastKey);
+                    if (keys.length === 0) break;
+                    for (const value of values) {
+                        yield { dbName, storeName, value };
+                    }
+                    lastKey = keys[keys.length - 1];
+                }
+            }
+        }
+    }
+
+    /**
+     * Turns a record into its frame header plus the Blobs to write after it.
+     * @returns {{frame: Object, blobs: Blob[]}}
+     */
+    _recordFrame(dbName, storeName, item) {
+        const value = { ...item };
+        const blobMeta = [];
+        const blobs = [];
+
+        for (const key in value) {
+            if (value[key] instanceof Blob) {
+                blobMeta.push({
+                    key: key,
+                    type: value[key].type,
+                    name: value[key].name || 'unnamed_file',
+                    size: value[key].size
+                });
+                blobs.push(value[key]);
+                value[key] = null;
+            }
+        }
+
+        return {
+            frame: { type: 'record', db: dbName, store: storeName, value: value, blobs: blobMeta },
+            blobs: blobs
+        };
+    }
+
+    /**
+     * Yields the encoded record frames and end frame, everything after the header.
+     * @param {string[]} dbNames - The databases to write.
+     * @returns {AsyncGenerator<Uint8Array>}
+     */
+    async *_frameChunks(dbNames) {
+        const digests = {}; // Record digests per "dbName.storeName"
+
+        for await (const { dbName, storeName, value } of this._records(dbNames)) {
+            const { frame, blobs } = this._recordFrame(dbName, storeName, value);
+            const parts = [this._line(frame)];
+            for (const blob of blobs) {
+                parts.push(new Uint8Array(await blob.arrayBuffer()));
+            }
+
+            const name = `${dbName}.${storeName}`;
+            (digests[name] = digests[name] || []).push(await sha256(parts));
+            yield* parts;
+        }
+
+        yield this._line(await this._manifest(digests, dbNames));
+        yield this._line({ type: 'end' });
+    }
+
+    /**
+     * Builds the manifest frame from the record digests gathered while writing.
+     * Every store is listed, including empty ones.
+     * @param {Object<string, Uint8Array[]>} digests
+     * @param {string[]} dbNames - The databases on the disk.
+     * @returns {Promise<Object>}
+     */
+    async _manifest(digests, dbNames) {
+        const databases = {};
+        for (const dbName of dbNames) {
+            const db = await this._openDB(dbName);
+            const stores = {};
+            for (const storeName of Array.from(db.objectStoreNames)) {
+                const storeDigests = digests[`${dbName}.${storeName}`] || [];
+                stores[storeName] = {
+                    count: storeDigests.length,
+                    sha256: toHex(await sha256(storeDigests))
+                };
+            }
+            databases[dbName] = { version: db.version, stores: stores };
+        }
+
+        return {
+            type: 'manifest',
+            formatVersion: DISK_VERSION,
+            appVersion: this.appVersion,
+            created: new Date().toISOString(),
+            databases: databases
+        };
+    }
+
+    /**
+     * Compares a manifest against what was actually read from the disk.
+     * Throws when the disk is tampered with or from a newer schema, so nothing gets written.
+     * @param {Object} manifest
+     * @param {Object<string, Uint8Array[]>} digests - Record digests per "dbName.storeName".
+     * @param {string[]} warnings - Collects anything worth telling the user that is not fatal.
      */
-    async backup() {
-        const backupData = {};
+    async _verifyManifest(manifest, digests, warnings) {
+        if (manifest.formatVersion > DISK_VERSION) {
+            throw new Error(`Disk format ${manifest.formatVersion} is newer than this page supports.`);
+        }
+        if (manifest.appVersion !== this.appVersion) {
+            warnings.push(`Disk was written by version ${manifest.appVersion}, this is ${this.appVersion}.`);
+        }
 
-        for (const dbName of this.dbNames) {
+        const listed = new Set();
+        for (const [dbName, database] of Object.entries(manifest.databases)) {
+            let supported;
             try {
-                const db = await this._openDB(dbName);
-                backupData[dbName] = {};
+                supported = latestVersion(dbName);
+            } catch (e) {
+                throw new Error(`Disk contains unknown database '${dbName}'.`);
+            }
+            if (database.version > supported) {
+                throw new Error(`Disk has ${dbName} at version ${database.version}, newer than this page supports (${supported}).`);
+            }
+
+            for (const [storeName, expected] of Object.entries(database.stores)) {
+                const name = `${dbName}.${storeName}`;
+                const storeDigests = digests[name] || [];
+                listed.add(name);
+                if (storeDigests.length !== expected.count) {
+                    throw new Error(`Disk failed integrity check: ${name} has ${storeDigests.length} records, manifest says ${expected.count}.`);
+                }
+                if (toHex(await sha256(storeDigests)) !== expected.sha256) {
+                    throw new Error(`Disk failed integrity check: ${name} checksum does not match.`);
+                }
+            }
+        }
+
+        const unlisted = Object.keys(digests).filter(name => !listed.has(name));
+        if (unlisted.length > 0) {
+            throw new Error(`Disk failed integrity check: ${unlisted.join(', ')} missing from manifest.`);
+        }
+    }
+
+    _line(frame) {
+        return new TextEncoder().encode(JSON.stringify(frame) + '\n');
+    }
+
+    /**
+     * Yields the encoded bytes of a whole disk.
+     * @param {string} [passphrase] - Encrypts the disk when given.
+     * @param {string[]} dbNames - The databases to write.
+     * @returns {AsyncGenerator<Uint8Array>}
+     */
+    async *_diskChunks(passphrase, dbNames) {
+        const header = { type: 'header', format: DISK_FORMAT, version: DISK_VERSION, created: new Date().toISOString() };
+
+        this.activeOperations++;
+        try {
+            if (!passphrase) {
+                yield this._line(header);
+                yield* this._frameChunks(dbNames);
+                return;
+            }
+
+            const { key, encryption } = await createEncryption(passphrase);
+            yield this._line({ ...header, encryption: encryption });
+            yield* encryptChunks(key, this._frameChunks(dbNames));
+        } catch (error) {
+            console.error('Error during backup:', error);
+            throw new Error(`Backup failed: ${error.message}`);
+        } finally {
+            this._release();
+        }
+    }
+
+    /**
+     * Backs up all specified IndexedDB databases as a stream of disk frames.
+     * Records are read in batches as the stream is pulled, so memory use stays
+     * flat however many images are stored.
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - Encrypts the disk with this passphrase.
+     * @param {string[]} [options.dbNames] - Back up only these databases instead of all of them.
+     * @returns {ReadableStream<Uint8Array>} The disk contents.
+     */
+    backup({ passphrase, dbNames = this.dbNames } = {}) {
+        return toReadableStream(this._diskChunks(passphrase, dbNames));
+    }
 
-                const objectStoreNames = Array.from(db.objectStoreNames);
+    /**
+     * Milliseconds since epoch of a record's last change: its updatedAt, else editedAt,
+     * else its creation timestamp. -Infinity when it has none of them.
+     */
+    _timeOf(item) {
+        const changed = item ? item.updatedAt ?? item.editedAt ?? item.timestamp : undefined;
+        const time = changed !== undefined ? new Date(changed).getTime() : NaN;
+        return Number.isNaN(time) ? -Infinity : time;
+    }
 
-                for (const storeName of objectStoreNames) {
-                    backupData[dbName][storeName] = [];
-                    const transaction = db.transaction(storeName, 'readonly');
+    /**
+     * Returns the per-store counters in a restore report, creating them on first use.
+     */
+    _reportFor(context, dbName, storeName) {
+        const name = `${dbName}.${storeName}`;
+        if (!context.report.stores[name]) {
+            context.report.stores[name] = { added: 0, updated: 0, skipped: 0, removed: 0 };
+        }
+        return context.report.stores[name];
+    }
+
+    /**
+     * Empties every store of the databases a disk holds ahead of a replace-all restore,
+     * counting what gets removed. Databases the disk doesn't have are left alone. Synced
+     * records get tombstones in the change log so paired devices drop them too. A dry run
+     * only counts.
+     * @param {string[]} dbNames - The databases on the disk.
+     * @param {Object} context
+     */
+    async _clearForReplace(dbNames, context) {
+        for (const dbName of dbNames) {
+            const db = await this._openDB(dbName);
+            for (const storeName of Array.from(db.objectStoreNames)) {
+                const config = syncedStore(dbName, storeName);
+                let cleared = [];
+                await new Promise((resolve, reject) => {
+                    const transaction = db.transaction(storeName, context.dryRun ? 'readonly' : 'readwrite');
                     const store = transaction.objectStore(storeName);
-                    const request = store.openCursor();
-
-                    await new Promise((resolve, reject) => {
-                        request.onsuccess = async (event) => {
-                            const cursor = event.target.result;
-                            if (cursor) {
-                                let item = { ...cursor.value };
-
-                                for (const key in item) {
-                                    if (item[key] instanceof Blob || item[key] instanceof File) {
-                                        try {
-                                            const base64 = await this._fileToBase64(item[key]);
-                                            item[key] = {
-                                                _indexedDB_file_data: true,
-                                                data: base64,
-                                                type: item[key].type,
-                                                name: item[key].name || 'unnamed_file'
-                                            };
-                                        } catch (e) {
-                                            console.error(`Error converting file to base64 for key '${key}':`, e);
-                                            item[key] = null;
-                                        }
-                                    }
-                                }
-                                backupData[dbName][storeName].push(item);
-                                cursor.continue();
-                            } else {
-                                resolve();
-                            }
+                    const countRequest = store.count();
+                    countRequest.onsuccess = () => {
+                        this._reportFor(context, dbName, storeName).removed = countRequest.result;
+                        if (context.dryRun) return;
+                        if (!config) {
+                            store.clear();
+                            return;
+                        }
+                        const recordsRequest = store.getAll();
+                        recordsRequest.onsuccess = () => {
+                            cleared = recordsRequest.result.map(record => record[config.uidKey]).filter(uid => uid !== undefined);
+                            store.clear();
                         };
+                    };
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = (event) => reject(new Error(`Could not clear ${dbName}.${storeName}: ${event.target.error}`));
+                });
+                for (const uid of cleared) {
+                    await recordChange(dbName, storeName, uid, { deleted: true });
+                }
+            }
+        }
+    }
 
-                        request.onerror = (event) => {
-                            reject(`Error reading object store ${storeName}: ${event.target.errorCode}`);
-                        };
-                    });
+    /**
+     * Writes a batch of items into a single store in one transaction, according to the restore mode:
+     * - replace: stores were emptied up front, so every item is added as is.
+     * - merge: items are added when new, and only overwrite an existing record changed less recently.
+     *   Stores with a uid index find the existing record by uid, as their keys differ between devices.
+     * - append: items are restored as new records, with a fresh uid where the store has a uid index.
+     *   autoIncrement stores give every item a fresh key; other stores add items whose key is
+     *   free and skip the rest.
+     * Records written to synced stores are entered in the change log, so paired devices get them.
+     * A dry run makes the same decisions in a readonly transaction and only counts them.
+     * @param {string} dbName
+     * @param {string} storeName
+     * @param {Object[]} items
+     * @param {Object} context - { mode, dryRun, report } for the current restore.
+     * @returns {Promise<void>}
+     */
+    async _putBatch(dbName, storeName, items, context) {
+        const db = await this._openDB(dbName);
+        if (!db.objectStoreNames.contains(storeName)) {
+            console.warn(`Object store '${storeName}' not found in '${dbName}'. Skipping restore for this store.`);
+            return;
+        }
+        const counts = this._reportFor(context, dbName, storeName);
+        const config = syncedStore(dbName, storeName);
+        const written = []; // uids of the synced records written
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, context.dryRun ? 'readonly' : 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const byUid = store.indexNames.contains('uid');
+            const write = (item, method) => {
+                if (context.dryRun) return;
+                store[method](item);
+                if (config) written.push(item[config.uidKey]);
+            };
+
+            // Disks written before timestamps were numbers carry them as date strings
+            items.map(withNumericTimestamp).forEach(item => {
+                // Appended copies are new records and need uids of their own, as do records from before uids
+                const uid = context.mode === 'append' || item.uid === undefined ? createUid() : item.uid;
+                const restored = byUid ? { ...item, uid: uid } : item;
+                const { [store.keyPath]: key, ...withoutKey } = restored;
+
+                if (context.mode === 'replace') {
+                    counts.added++;
+                    write(restored, 'put');
+                    return;
                 }
-            } catch (error) {
-                console.error(`Error during backup of ${dbName}:`, error);
-                throw new Error(`Backup failed for ${dbName}: ${error.message}`);
+
+                if (context.mode === 'append' && store.autoIncrement) {
+                    counts.added++;
+                    write(withoutKey, 'add');
+                    return;
+                }
+
+                if (context.mode === 'merge' && byUid && item.uid !== undefined) {
+                    const uidRequest = store.index('uid').get(uid);
+                    uidRequest.onsuccess = () => {
+                        const existing = uidRequest.result;
+                        if (!existing) {
+                            counts.added++;
+                            // The disk's key may belong to another record here
+                            write(store.autoIncrement ? withoutKey : restored, 'add');
+                        } else if (this._timeOf(item) > this._timeOf(existing)) {
+                            counts.updated++;
+                            write({ ...withoutKey, [store.keyPath]: existing[store.keyPath] }, 'put');
+                        } else {
+                            counts.skipped++;
+                        }
+                    };
+                    return;
+                }
+
+                if (key === undefined) {
+                    counts.added++;
+                    write(restored, 'add');
+                    return;
+                }
+
+                const getRequest = store.get(key);
+                getRequest.onsuccess = () => {
+                    const existing = getRequest.result;
+                    if (!existing) {
+                        counts.added++;
+                        write(restored, 'add');
+                    } else if (context.mode === 'merge' && this._timeOf(item) > this._timeOf(existing)) {
+                        counts.updated++;
+                        write(byUid && existing.uid ? { ...restored, uid: existing.uid } : restored, 'put');
+                    } else {
+                        counts.skipped++;
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => {
+                console.error(`Transaction error for ${dbName}.${storeName}:`, event.target.error);
+                reject(new Error(`Restoration failed for an item in ${dbName}.${storeName}.`));
+            };
+        });
+
+        for (const uid of written) {
+            await recordChange(dbName, storeName, uid);
+        }
+    }
+
+    /**
+     * Restores data to IndexedDB databases from a disk.
+     * Streamed disks are read twice: a first pass checks the manifest and works out
+     * the report without writing, and only a disk that passes is read again and written
+     * in batches. Anything that does not start with a disk header is restored as a
+     * legacy JSON disk, which has no manifest to check.
+     * @param {Blob|string} source - The disk file, or a legacy JSON string.
+     * @param {Object} [options]
+     * @param {function(): (string|Promise<string>)} [options.getPassphrase] - Asked for the
+     *   passphrase only when the disk turns out to be encrypted.
+     * @param {string} [options.mode='merge'] - 'replace' (empty the databases first),
+     *   'merge' (keep whichever copy was changed last) or 'append' (restore as new records).
+     * @param {boolean} [options.dryRun=false] - Work out what would change without writing anything.
+     * @param {boolean} [options.snapshotFirst=true] - Take a restore point before writing.
+     * @returns {Promise<{stores: Object<string, {added: number, updated: number, skipped: number, removed: number}>, warnings: string[]}>}
+     *   Counts per "dbName.storeName", and anything that was not fatal but worth knowing.
+     */
+    async restore(source, options) {
+        this.activeRestores++;
+        try {
+            return await this._inUse(() => this._restore(source, options));
+        } finally {
+            this.activeRestores--;
+        }
+    }
+
+    async _restore(source, { getPassphrase, mode = 'merge', dryRun = false, snapshotFirst = true } = {}) {
+        if (!['replace', 'merge', 'append'].includes(mode)) {
+            throw new Error(`Unknown restore mode '${mode}'.`);
+        }
+        const report = { stores: {}, warnings: [] };
+        const takeSnapshot = async () => {
+            if (snapshotFirst && !dryRun) await this.snapshot('before restore');
+        };
+
+        if (typeof source === 'string') {
+            await takeSnapshot();
+            return this._restoreLegacyWithWarning(source, { mode, dryRun, report });
+        }
+
+        let passphrase = null;
+        const askPassphrase = async () => {
+            passphrase = passphrase || (getPassphrase ? await getPassphrase() : null);
+            return passphrase;
+        };
+
+        const check = { mode, dryRun: true, verify: true, report };
+        const checked = await this._readDisk(source, check, askPassphrase);
+        if (!checked) {
+            await takeSnapshot();
+            return this._restoreLegacyWithWarning(await source.text(), { mode, dryRun, report });
+        }
+        if (dryRun) return report;
+
+        await takeSnapshot();
+        report.stores = {};
+        await this._readDisk(source, { mode, dryRun: false, verify: false, report, databases: check.databases }, askPassphrase);
+        return report;
+    }
+
+    async _restoreLegacyWithWarning(jsonString, context) {
+        context.report.warnings.push('Legacy disk without a manifest; its integrity could not be checked.');
+        await this._restoreLegacy(jsonString, context);
+        return context.report;
+    }
+
+    /**
+     * Opens a disk, decrypting it if needed, and runs its frames through _restoreFrames.
+     * @param {Blob} source
+     * @param {Object} context - The restore mode, report and whether to verify the manifest.
+     * @param {function(): Promise<string>} askPassphrase
+     * @returns {Promise<boolean>} False when the source is not a streamed disk at all.
+     */
+    async _readDisk(source, context, askPassphrase) {
+        const reader = new ByteStreamReader(source.stream());
+        try {
+            let header;
+            try {
+                header = JSON.parse(await reader.readLine());
+            } catch (e) {
+                header = null;
+            }
+            if (!header || header.format !== DISK_FORMAT) {
+                return false;
+            }
+            if (header.version > DISK_VERSION) {
+                throw new Error(`Disk version ${header.version} is newer than this page supports.`);
+            }
+
+            if (header.encryption) {
+                const passphrase = await askPassphrase();
+                if (!passphrase) {
+                    throw new Error('This disk is encrypted and needs a passphrase');
+                }
+                const key = await openEncryption(passphrase, header.encryption);
+                const decrypted = new ByteStreamReader(toReadableStream(decryptChunks(key, reader)));
+                await this._restoreFrames(decrypted, context);
+            } else {
+                await this._restoreFrames(reader, context);
+            }
+            return true;
+        } finally {
+            reader.cancel();
+        }
+    }
+
+    /**
+     * Reads record frames until the end frame, batching puts per store.
+     * When verifying, digests every record and checks them against the manifest, and sets
+     * context.databases to the databases the disk holds; that pass is always a dry run.
+     * @param {ByteStreamReader} reader - Positioned just after the header.
+     * @param {Object} context - The restore mode and report, plus databases when not verifying.
+     */
+    async _restoreFrames(reader, context) {
+        // The checking pass found out which databases the disk holds
+        if (context.mode === 'replace' && !context.verify) {
+            await this._clearForReplace(context.databases, context);
+        }
+
+        let batch = [];
+        let batchTarget = null;
+        const flush = async () => {
+            if (batch.length > 0) {
+                await this._putBatch(batchTarget.db, batchTarget.store, batch, context);
+            }
+            batch = [];
+        };
+        const encoder = new TextEncoder();
+        const digests = {};
+        let manifest = null;
+
+        while (true) {
+            const line = await reader.readLine();
+            if (line === null) {
+                throw new Error('Disk ended unexpectedly. It may be truncated.');
+            }
+            const frame = JSON.parse(line);
+            if (frame.type === 'end') break;
+            if (frame.type === 'manifest') {
+                manifest = frame;
+                continue;
+            }
+            if (frame.type !== 'record') continue;
+
+            const item = frame.value;
+            const parts = [encoder.encode(line + '\n')];
+            for (const meta of frame.blobs) {
+                const bytes = await reader.readBytes(meta.size);
+                parts.push(bytes);
+                item[meta.key] = new Blob([bytes], { type: meta.type });
+            }
+            if (context.verify) {
+                const name = `${frame.db}.${frame.store}`;
+                (digests[name] = digests[name] || []).push(await sha256(parts));
+            }
+
+            if (!batchTarget || batchTarget.db !== frame.db || batchTarget.store !== frame.store
+                || batch.length >= this.batchSize) {
+                await flush();
+                batchTarget = { db: frame.db, store: frame.store };
+            }
+            batch.push(item);
+        }
+        await flush();
+
+        if (context.verify) {
+            if (manifest) {
+                await this._verifyManifest(manifest, digests, context.report.warnings);
+            } else {
+                context.report.warnings.push('Disk has no manifest; its integrity could not be checked.');
             }
+
+            // A disk without a manifest holds whichever databases its records are from
+            context.databases = manifest
+                ? Object.keys(manifest.databases)
+                : [...new Set(Object.keys(digests).map(name => name.split('.')[0]))];
+            if (context.mode === 'replace') await this._clearForReplace(context.databases, context);
         }
-        return JSON.stringify(backupData, null, 2);
     }
 
     /**
-     * Restores data to IndexedDB databases from a JSON string.
+     * Restores data from a legacy JSON disk.
      * Converts Base64 strings back to Blob objects.
-     * Skips items that have a 'timestamp' property.
      * @param {string} jsonString - The JSON string containing the backup data.
+     * @param {Object} context - The restore mode and report.
      * @returns {Promise<void>} A promise that resolves when restoration is complete.
      */
-    async restore(jsonString) {
+    async _restoreLegacy(jsonString, context) {
         let parsedData;
         try {
             parsedData = JSON.parse(jsonString);
@@ -165,65 +752,31 @@ class IndexedDBBackupRestore {
             throw new Error('Invalid JSON string provided for restoration.');
         }
 
+        if (context.mode === 'replace') {
+            await this._clearForReplace(Object.keys(parsedData), context);
+        }
+
         for (const dbName in parsedData) {
             if (parsedData.hasOwnProperty(dbName)) {
                 const dbStoresData = parsedData[dbName];
-                const objectStoreNames = Object.keys(dbStoresData);
 
                 try {
-                    const db = await this._openDB(dbName, 1, objectStoreNames);
-
-                    for (const storeName of objectStoreNames) {
+                    for (const storeName of Object.keys(dbStoresData)) {
                         const itemsToRestore = dbStoresData[storeName];
                         if (!itemsToRestore || itemsToRestore.length === 0) continue;
 
-                        if (!db.objectStoreNames.contains(storeName)) {
-                            console.warn(`Object store '${storeName}' not found in '${dbName}'. Skipping restore for this store.`);
-                            continue;
-                        }
-
-                        const transaction = db.transaction(storeName, 'readwrite');
-                        const store = transaction.objectStore(storeName);
-
                         for (let item of itemsToRestore) {
-                            //if (item.hasOwnProperty('timestamp')) {
-                            //    console.warn(`Skipping item with timestamp during restore in ${dbName}.${storeName}:`, item);
-                            //    continue;
-                            //}
-
                             for (const key in item) {
                                 if (item[key] && typeof item[key] === 'object' && item[key]._indexedDB_file_data) {
-                                    try {
-                                        item[key] = this._base64ToBlob(item[key].data, item[key].type);
-                                        if (!item[key]) {
-                                            console.warn(`Failed to convert base64 to Blob for key: '${key}'. Setting to null.`);
-                                        }
-                                    } catch (e) {
-                                        console.error(`Error converting base64 to Blob for key '${key}':`, e);
-                                        item[key] = null;
+                                    item[key] = this._base64ToBlob(item[key].data, item[key].type);
+                                    if (!item[key]) {
+                                        console.warn(`Failed to convert base64 to Blob for key: '${key}'. Setting to null.`);
                                     }
                                 }
                             }
-
-                            try {
-                                await new Promise((resolve, reject) => {
-                                    const putRequest = store.put(item);
-                                    putRequest.onsuccess = () => resolve();
-                                    putRequest.onerror = (event) => reject(event.target.errorCode);
-                                });
-                            } catch (e) {
-                                console.error(`Error putting item into ${dbName}.${storeName}:`, e);
-                                throw new Error(`Restoration failed for an item in ${dbName}.${storeName}.`);
-                            }
                         }
 
-                        await new Promise((resolve) => {
-                            transaction.oncomplete = () => resolve();
-                            transaction.onerror = (event) => {
-                                console.error(`Transaction error for ${dbName}.${storeName}:`, event.target.errorCode);
-                                resolve(); // Resolve even on error to continue with other stores/DBs
-                            };
-                        });
+                        await this._putBatch(dbName, storeName, itemsToRestore, context);
                     }
                 } catch (error) {
                     console.error(`Error during restore of ${dbName}:`, error);
@@ -233,17 +786,121 @@ class IndexedDBBackupRestore {
         }
     }
 
+    /**
+     * Runs a single request against the snapshots store.
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest
+     * @returns {Promise<*>} The request's result, once its transaction has completed.
+     */
+    async _snapshotRequest(mode, makeRequest) {
+        const db = await this._openDB(this.snapshotDbName);
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('snapshots', mode);
+            const request = makeRequest(transaction.objectStore('snapshots'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = (event) => reject(new Error(`Snapshot store error: ${event.target.error}`));
+        });
+    }
+
+    /**
+     * Saves the current contents of the managed databases as a restore point,
+     * then drops the oldest restore points past maxSnapshots.
+     * @param {string} [reason='manual'] - Shown in the restore point list.
+     * @param {Object} [options]
+     * @param {number} [options.keep] - A snapshot id that must survive the pruning.
+     * @returns {Promise<number>} The id of the new snapshot.
+     */
+    async snapshot(reason = 'manual', { keep } = {}) {
+        const disk = await new Response(this.backup({ dbNames: this.snapshotDbNames })).blob();
+        const id = await this._snapshotRequest('readwrite', store => store.add({
+            created: Date.now(),
+            reason: reason,
+            size: disk.size,
+            disk: disk
+        }));
+
+        const keys = await this._snapshotRequest('readonly', store => store.getAllKeys());
+        const excess = keys.filter(key => key !== keep).slice(0, Math.max(0, keys.length - this.maxSnapshots));
+        for (const key of excess) {
+            await this._snapshotRequest('readwrite', store => store.delete(key));
+        }
+        console.log(`Snapshot ${id} taken (${reason}).`);
+        return id;
+    }
+
+    /**
+     * @returns {Promise<Array<{id: number, created: number, reason: string, size: number}>>}
+     *   Restore points, newest first.
+     */
+    async listSnapshots() {
+        const snapshots = await this._snapshotRequest('readonly', store => store.index('created').getAll());
+        return snapshots.reverse().map(({ disk, ...info }) => info);
+    }
+
+    /**
+     * Rolls the managed databases back to a restore point, replacing what is there now.
+     * A fresh snapshot is taken first, so the roll back can itself be undone.
+     * @param {number} id - The snapshot id.
+     * @returns {Promise<Object>} The restore report.
+     */
+    async restoreSnapshot(id) {
+        const snapshot = await this._snapshotRequest('readonly', store => store.get(id));
+        if (!snapshot) {
+            throw new Error(`Restore point ${id} not found.`);
+        }
+        await this.snapshot('before roll back', { keep: id });
+        return this.restore(snapshot.disk, { mode: 'replace', snapshotFirst: false });
+    }
+
+    /**
+     * Takes a snapshot every intervalMs while the page is open, plus one straight away
+     * if the latest restore point is older than that. Snapshots that fall due while a
+     * restore is running are skipped.
+     * @param {number} intervalMs
+     * @param {function(): void} [onSnapshot] - Called after each scheduled snapshot.
+     */
+    async startSnapshots(intervalMs, onSnapshot = () => {}) {
+        this.stopSnapshots();
+        const scheduled = async () => {
+            // A restore point taken halfway through a restore would hold partial data
+            if (this.activeRestores > 0) return;
+            try {
+                await this.snapshot('scheduled');
+                onSnapshot();
+            } catch (error) {
+                console.error('Scheduled snapshot failed:', error);
+            }
+        };
+        this.snapshotIntervalId = setInterval(scheduled, intervalMs);
+
+        const [latest] = await this.listSnapshots();
+        if (!latest || Date.now() - latest.created > intervalMs) {
+            await scheduled();
+        }
+    }
+
+    stopSnapshots() {
+        clearInterval(this.snapshotIntervalId);
+        this.snapshotIntervalId = null;
+    }
+
     /**
      * Closes all currently open IndexedDB connections managed by this instance.
-     * This is important to release database locks.
+     * This is important to release database locks. While a backup, snapshot or restore
+     * is still running the close waits for the last of them to finish.
      */
     closeConnections() {
-        for (const dbName in this.dbConnections) {
-            if (this.dbConnections.hasOwnProperty(dbName) && this.dbConnections[dbName]) {
-                this.dbConnections[dbName].close();
-                delete this.dbConnections[dbName];
+        if (this.activeOperations > 0) {
+            this.closePending = true;
+            return;
+        }
+        this.closePending = false;
+        for (const [dbName, connection] of Object.entries(this.dbConnections)) {
+            delete this.dbConnections[dbName];
+            connection.then(db => {
+                db.close();
                 console.log(`Closed connection to ${dbName}`);
-            }
+            }, () => {});
         }
     }
 }
@@ -0,0 +1,105 @@
+import jsQR from 'jsqr';
+
+/**
+ * QrScanner Class
+ * Reads QR codes from the camera into a preview video. Uses the browser's
+ * BarcodeDetector where there is one and decodes frames with jsQR otherwise.
+ */
+class QrScanner {
+  /**
+   * @param {HTMLElement} container - The preview video is appended here while scanning.
+   * @param {Object} options
+   * @param {function(string): boolean} options.onResult - Gets each decoded text; return true to stop scanning.
+   * @param {number} [options.intervalMs=250] - Time between scanned frames.
+   */
+  constructor(container, { onResult, intervalMs = 250 }) {
+    this.container = container;
+    this.onResult = onResult;
+    this.intervalMs = intervalMs;
+    this.stream = null;
+    this.timer = null;
+    this.detector = null;
+
+    this.video = document.createElement('video');
+    this.video.className = 'qr-scanner';
+    this.video.muted = true;
+    this.video.playsInline = true;
+    this.canvas = document.createElement('canvas');
+  }
+
+  get scanning() {
+    return this.stream !== null;
+  }
+
+  async start() {
+    if (this.scanning) return;
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error('This browser cannot use the camera.');
+    }
+
+    if (!this.detector && 'BarcodeDetector' in window) {
+      const formats = await window.BarcodeDetector.getSupportedFormats();
+      if (formats.includes('qr_code')) {
+        this.detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      }
+    }
+
+    // Prefer the back camera on phones
+    this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    this.video.srcObject = this.stream;
+    this.container.appendChild(this.video);
+    await this.video.play();
+    this.scheduleScan();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    this.video.srcObject = null;
+    this.video.remove();
+  }
+
+  scheduleScan() {
+    this.timer = setTimeout(() => {
+      this.scanFrame()
+        .then((texts) => {
+          if (!this.scanning) return;
+          if (texts.some((text) => this.onResult(text))) {
+            this.stop();
+          } else {
+            this.scheduleScan();
+          }
+        })
+        .catch((error) => {
+          console.error('QR scan failed:', error);
+          if (this.scanning) this.scheduleScan();
+        });
+    }, this.intervalMs);
+  }
+
+  /**
+   * @returns {Promise<string[]>} The text of every QR code in the current frame.
+   */
+  async scanFrame() {
+    if (this.video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) return [];
+
+    if (this.detector) {
+      const codes = await this.detector.detect(this.video);
+      return codes.map((code) => code.rawValue);
+    }
+
+    const { videoWidth: width, videoHeight: height } = this.video;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    const context = this.canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(this.video, 0, 0, width, height);
+    const code = jsQR(context.getImageData(0, 0, width, height).data, width, height, { inversionAttempts: 'dontInvert' });
+    return code ? [code.data] : [];
+  }
+}
+
+export default QrScanner;
@@ -0,0 +1,347 @@
+/**
+ * Named soundscapes. Beds are looping noise layers; bubbles are the voices placed on
+ * top of them, with frequencies in Hz and durations in seconds.
+ */
+const PRESETS = {
+	reef: {
+		beds: [
+			{ color: 'brown', gain: 0.25, cutoff: 500 },
+			{ color: 'pink', gain: 0.04, cutoff: 2000 },
+		],
+		bubbles: { rate: 4, minFrequency: 300, maxFrequency: 1200, sweep: 2, minDuration: 0.05, maxDuration: 0.2, gain: 0.25, q: 4 },
+		reverb: { seconds: 2.5, decay: 3, wet: 0.35 },
+	},
+	'deep dive': {
+		beds: [
+			{ color: 'brown', gain: 0.4, cutoff: 200 },
+		],
+		bubbles: { rate: 1.2, minFrequency: 60, maxFrequency: 300, sweep: 1.6, minDuration: 0.2, maxDuration: 0.6, gain: 0.35, q: 2 },
+		reverb: { seconds: 5, decay: 2, wet: 0.6 },
+	},
+	rain: {
+		beds: [
+			{ color: 'pink', gain: 0.18, cutoff: 6000 },
+			{ color: 'brown', gain: 0.1, cutoff: 800 },
+		],
+		bubbles: { rate: 12, minFrequency: 1000, maxFrequency: 4000, sweep: 1.5, minDuration: 0.02, maxDuration: 0.08, gain: 0.12, q: 6 },
+		reverb: { seconds: 1, decay: 4, wet: 0.2 },
+	},
+};
+
+/**
+ * Listener controls applied on top of any preset: density scales the bubble rate, pitch
+ * transposes in octaves, range narrows (below 1) or widens the preset's pitch range,
+ * volume is the master gain and width spreads bubbles across the stereo field.
+ */
+const DEFAULT_SETTINGS = { density: 1, pitch: 0, range: 1, volume: 0.8, width: 1 };
+
+const NOISE_SECONDS = 6; // Length of the looped noise buffers
+const CROSSFADE_SECONDS = 2; // Fade between presets, and in when starting
+
+/**
+ * SoundscapeEngine Class
+ * A small generative soundscape: noise beds, filtered bubble voices with pitch sweeps
+ * and a convolution reverb. Every change is scheduled on the AudioContext clock.
+ *
+ * Each preset plays as a "scene" (its beds plus a reverb send). Switching presets
+ * builds the new scene and crossfades to it, then stops the old one.
+ */
+class SoundscapeEngine {
+	/**
+	 * @param {AudioContext} audioContext
+	 * @param {string} [presetName='reef'] - One of SoundscapeEngine.presetNames.
+	 * @param {Object} [settings] - Any of the DEFAULT_SETTINGS fields.
+	 */
+	constructor(audioContext, presetName = 'reef', settings = {}) {
+		this.audioContext = audioContext;
+		this.presetName = PRESETS[presetName] ? presetName : 'reef';
+		this.settings = { ...DEFAULT_SETTINGS, ...settings };
+		this.noiseBuffers = {};
+		this.scene = null;
+		this.fade = null; // { time, seconds } of a fadeOut, pending or under way
+
+		this.master = audioContext.createGain();
+		this.master.gain.value = this.settings.volume;
+		this.master.connect(audioContext.destination);
+	}
+
+	static get presetNames() {
+		return Object.keys(PRESETS);
+	}
+
+	static get defaultSettings() {
+		return { ...DEFAULT_SETTINGS };
+	}
+
+	/**
+	 * Changes listener settings; bubbles already scheduled keep the old ones.
+	 * @param {Object} settings - Any of the DEFAULT_SETTINGS fields.
+	 */
+	update(settings) {
+		this.settings = { ...this.settings, ...settings };
+		if (this.fadingOut) return;
+		if (this.fade) {
+			// A pending fade has to start from the new volume, so it is scheduled again
+			this._scheduleFade();
+		} else {
+			this.master.gain.setTargetAtTime(this.settings.volume, this.audioContext.currentTime, 0.05);
+		}
+	}
+
+	/**
+	 * True once a scheduled fadeOut has begun; the volume setting is ignored from then on.
+	 */
+	get fadingOut() {
+		return this.fade !== null && this.audioContext.currentTime >= this.fade.time;
+	}
+
+	/**
+	 * Schedules a fade to silence, e.g. for a sleep timer. Volume changes before the
+	 * fade starts still apply, and the fade starts from whatever the volume is then.
+	 * @param {number} time - AudioContext time the fade starts.
+	 * @param {number} seconds - Length of the fade.
+	 */
+	fadeOut(time, seconds) {
+		this.fade = { time, seconds };
+		this._scheduleFade();
+	}
+
+	/**
+	 * Drops a scheduled fadeOut and goes back to the volume setting.
+	 */
+	cancelFadeOut() {
+		const now = this.audioContext.currentTime;
+		this.master.gain.cancelScheduledValues(now);
+		this.master.gain.setTargetAtTime(this.settings.volume, now, 0.05);
+		this.fade = null;
+	}
+
+	_scheduleFade() {
+		const gain = this.master.gain;
+		const now = this.audioContext.currentTime;
+		const { time, seconds } = this.fade;
+		gain.cancelScheduledValues(now);
+		gain.setTargetAtTime(this.settings.volume, now, 0.05);
+		gain.setValueAtTime(this.settings.volume, time);
+		gain.linearRampToValueAtTime(0, time + seconds);
+	}
+
+	get preset() {
+		return PRESETS[this.presetName];
+	}
+
+	/**
+	 * Fades the current preset in.
+	 * @param {number} [time] - When to start, defaults to now.
+	 */
+	start(time = this.audioContext.currentTime) {
+		this.scene = this._createScene(this.preset, time);
+	}
+
+	/**
+	 * Crossfades to another preset.
+	 * @param {string} presetName
+	 * @param {number} [time] - When the crossfade starts, defaults to now.
+	 */
+	setPreset(presetName, time = this.audioContext.currentTime) {
+		if (!PRESETS[presetName] || presetName === this.presetName) return;
+		this.presetName = presetName;
+		if (!this.scene) return;
+
+		this._endScene(this.scene, time, CROSSFADE_SECONDS);
+		this.scene = this._createScene(this.preset, time);
+	}
+
+	/**
+	 * Fades everything out.
+	 * @param {number} [fadeSeconds=0.5]
+	 * @returns {number} The AudioContext time when the fade has finished.
+	 */
+	stop(fadeSeconds = 0.5) {
+		const time = this.audioContext.currentTime;
+		if (this.scene) {
+			this._endScene(this.scene, time, fadeSeconds);
+			this.scene = null;
+		}
+		return time + fadeSeconds;
+	}
+
+	/**
+	 * Plays one bubble: a sine voice sweeping up in pitch through a band-pass filter,
+	 * panned somewhere in the field.
+	 * @param {number} time - AudioContext time to start at.
+	 * @returns {{frequency: number, pan: number}|null} What was played, or null when stopped.
+	 */
+	scheduleBubble(time) {
+		if (!this.scene) return null;
+		const ctx = this.audioContext;
+		const bubble = this.preset.bubbles;
+
+		const { pitch, range, width } = this.settings;
+
+		// Log-uniform around the middle of the range, so low and high bubbles come up about as often
+		const centre = Math.sqrt(bubble.minFrequency * bubble.maxFrequency) * Math.pow(2, pitch);
+		const spread = Math.pow(bubble.maxFrequency / bubble.minFrequency, range);
+		const frequency = centre * Math.pow(spread, Math.random() - 0.5);
+		const duration = bubble.minDuration + Math.random() * (bubble.maxDuration - bubble.minDuration);
+		const pan = (Math.random() * 2 - 1) * width;
+
+		const oscillator = ctx.createOscillator();
+		oscillator.type = 'sine';
+		oscillator.frequency.setValueAtTime(frequency, time);
+		oscillator.frequency.exponentialRampToValueAtTime(frequency * bubble.sweep, time + duration);
+
+		const filter = ctx.createBiquadFilter();
+		filter.type = 'bandpass';
+		filter.frequency.setValueAtTime(frequency * Math.sqrt(bubble.sweep), time);
+		filter.Q.value = bubble.q;
+
+		const envelope = ctx.createGain();
+		envelope.gain.setValueAtTime(0, time);
+		envelope.gain.linearRampToValueAtTime(bubble.gain, time + 0.005);
+		envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+		const panner = ctx.createStereoPanner();
+		panner.pan.setValueAtTime(pan, time);
+
+		oscillator.connect(filter);
+		filter.connect(envelope);
+		envelope.connect(panner);
+		panner.connect(this.scene.input);
+
+		oscillator.start(time);
+		oscillator.stop(time + duration + 0.05);
+		oscillator.onended = () => {
+			oscillator.disconnect();
+			filter.disconnect();
+			envelope.disconnect();
+			panner.disconnect();
+		};
+
+		return { frequency, pan };
+	}
+
+	/**
+	 * @returns {number} Seconds until the next bubble; bubbles arrive at random at the preset's rate times density.
+	 */
+	nextBubbleDelay() {
+		return -Math.log(1 - Math.random()) / (this.preset.bubbles.rate * this.settings.density);
+	}
+
+	/**
+	 * Builds a preset's beds and reverb, fading in from time.
+	 */
+	_createScene(preset, time) {
+		const ctx = this.audioContext;
+
+		const output = ctx.createGain();
+		output.gain.setValueAtTime(0, time);
+		output.gain.linearRampToValueAtTime(1, time + CROSSFADE_SECONDS);
+		output.connect(this.master);
+
+		// Everything goes through the input: dry straight out, wet through the reverb
+		const input = ctx.createGain();
+		const wet = ctx.createGain();
+		wet.gain.value = preset.reverb.wet;
+		const reverb = ctx.createConvolver();
+		reverb.buffer = this._impulseResponse(preset.reverb);
+		input.connect(output);
+		input.connect(reverb);
+		reverb.connect(wet);
+		wet.connect(output);
+
+		const nodes = [input, wet, reverb, output];
+		const sources = preset.beds.map((bed) => {
+			const source = ctx.createBufferSource();
+			source.buffer = this._noiseBuffer(bed.color);
+			source.loop = true;
+			// Start each bed somewhere different in the loop so layers don't line up
+			const offset = Math.random() * NOISE_SECONDS;
+
+			const filter = ctx.createBiquadFilter();
+			filter.type = 'lowpass';
+			filter.frequency.value = bed.cutoff;
+			const gain = ctx.createGain();
+			gain.gain.value = bed.gain;
+
+			source.connect(filter);
+			filter.connect(gain);
+			gain.connect(input);
+			nodes.push(filter, gain);
+			source.start(time, offset);
+			return source;
+		});
+
+		return { input, output, nodes, sources };
+	}
+
+	_endScene(scene, time, fadeSeconds) {
+		scene.output.gain.cancelScheduledValues(time);
+		scene.output.gain.setValueAtTime(scene.output.gain.value, time);
+		scene.output.gain.linearRampToValueAtTime(0, time + fadeSeconds);
+
+		// Reverb tails are cut with the fade; the scene is taken apart once the beds stop
+		const release = () => {
+			scene.sources.forEach((source) => source.disconnect());
+			scene.nodes.forEach((node) => node.disconnect());
+		};
+		scene.sources.forEach((source) => source.stop(time + fadeSeconds));
+		if (scene.sources.length > 0) {
+			scene.sources[scene.sources.length - 1].onended = release;
+		} else {
+			release();
+		}
+	}
+
+	/**
+	 * Looping noise, cached per colour.
+	 * @param {string} color - 'brown' (deep rumble) or 'pink' (brighter wash).
+	 */
+	_noiseBuffer(color) {
+		if (this.noiseBuffers[color]) return this.noiseBuffers[color];
+
+		const length = NOISE_SECONDS * this.audioContext.sampleRate;
+		const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+		const data = buffer.getChannelData(0);
+
+		if (color === 'brown') {
+			// Integrated white noise, leaking back towards zero
+			let last = 0;
+			for (let i = 0; i < length; i++) {
+				last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+				data[i] = last * 3.5;
+			}
+		} else {
+			// Paul Kellet's economy pink noise filter
+			let b0 = 0, b1 = 0, b2 = 0;
+			for (let i = 0; i < length; i++) {
+				const white = Math.random() * 2 - 1;
+				b0 = 0.99765 * b0 + white * 0.099046;
+				b1 = 0.963 * b1 + white * 0.2965164;
+				b2 = 0.57 * b2 + white * 1.0526913;
+				data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.11;
+			}
+		}
+
+		this.noiseBuffers[color] = buffer;
+		return buffer;
+	}
+
+	/**
+	 * A stereo impulse response of exponentially decaying noise.
+	 * @param {{seconds: number, decay: number}} reverb
+	 */
+	_impulseResponse({ seconds, decay }) {
+		const length = Math.round(seconds * this.audioContext.sampleRate);
+		const buffer = this.audioContext.createBuffer(2, length, this.audioContext.sampleRate);
+		for (let channel = 0; channel < 2; channel++) {
+			const data = buffer.getChannelData(channel);
+			for (let i = 0; i < length; i++) {
+				data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+			}
+		}
+		return buffer;
+	}
+}
+
+export default SoundscapeEngine;
@@ -0,0 +1,141 @@
+// Timers on a hidden page run at most once a second, and the page is usually hidden while
+// another tab or window is being recorded. Timers in a worker keep their pace.
+const TICKER_SOURCE = 'let timer; onmessage = (event) => { clearInterval(timer); if (event.data) timer = setInterval(() => postMessage(0), event.data); };';
+
+/**
+ * StreamCompositor Class
+ * Combines a screen capture with a webcam bubble and mixes every audio source, giving one
+ * stream for MediaRecorder. The screen and camera are drawn onto a canvas that is recorded
+ * with canvas.captureStream(); with no camera the screen's own video track is used.
+ */
+class StreamCompositor {
+  /**
+   * @param {Object} sources
+   * @param {MediaStream} sources.screen - From getDisplayMedia, with or without system audio.
+   * @param {MediaStream} [sources.camera] - Its video is drawn as a round bubble.
+   * @param {MediaStream} [sources.microphone] - Its audio is mixed with the screen's.
+   * @param {Object} [options]
+   * @param {number} [options.fps=30]
+   * @param {number} [options.bubbleSize=0.3] - Bubble diameter as a fraction of the shorter side.
+   */
+  constructor({ screen, camera = null, microphone = null }, { fps = 30, bubbleSize = 0.3 } = {}) {
+    this.screen = screen;
+    this.camera = camera;
+    this.microphone = microphone;
+    this.fps = fps;
+    this.bubbleSize = bubbleSize;
+    this.audioContext = null;
+    this.ticker = null;
+    this.stream = null;
+  }
+
+  /**
+   * @returns {Promise<MediaStream>} The composited video with the mixed audio.
+   */
+  async start() {
+    const tracks = [];
+
+    if (this.camera && this.camera.getVideoTracks().length > 0) {
+      this.screenVideo = await StreamCompositor.playStream(this.screen);
+      this.cameraVideo = await StreamCompositor.playStream(this.camera);
+
+      const { width = 1280, height = 720 } = this.screen.getVideoTracks()[0].getSettings();
+      this.canvas = document.createElement('canvas');
+      this.canvas.width = width;
+      this.canvas.height = height;
+      this.context = this.canvas.getContext('2d');
+      this.draw();
+
+      const tickerUrl = URL.createObjectURL(new Blob([TICKER_SOURCE], { type: 'text/javascript' }));
+      this.ticker = new Worker(tickerUrl);
+      URL.revokeObjectURL(tickerUrl);
+      this.ticker.onmessage = () => this.draw();
+      this.ticker.postMessage(1000 / this.fps);
+
+      tracks.push(...this.canvas.captureStream(this.fps).getVideoTracks());
+    } else {
+      tracks.push(...this.screen.getVideoTracks());
+    }
+
+    const audioSources = [this.screen, this.microphone].filter((stream) => stream && stream.getAudioTracks().length > 0);
+    if (audioSources.length > 0) {
+      this.audioContext = new AudioContext();
+      const destination = this.audioContext.createMediaStreamDestination();
+      audioSources.forEach((stream) => this.audioContext.createMediaStreamSource(stream).connect(destination));
+      tracks.push(...destination.stream.getAudioTracks());
+    }
+
+    this.stream = new MediaStream(tracks);
+    return this.stream;
+  }
+
+  /**
+   * Stops drawing and mixing, and every track of the sources.
+   */
+  stop() {
+    if (this.ticker) {
+      this.ticker.terminate();
+      this.ticker = null;
+    }
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    [this.stream, this.screen, this.camera, this.microphone].forEach((stream) => {
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    });
+    [this.screenVideo, this.cameraVideo].forEach((video) => {
+      if (video) video.srcObject = null;
+    });
+  }
+
+  /**
+   * Draws one frame: the screen fitted to the canvas, then the camera bubble bottom right.
+   */
+  draw() {
+    const { canvas, context, screenVideo, cameraVideo } = this;
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (screenVideo.videoWidth) {
+      // The shared window can change size, so keep its aspect ratio inside the canvas
+      const scale = Math.min(canvas.width / screenVideo.videoWidth, canvas.height / screenVideo.videoHeight);
+      const width = screenVideo.videoWidth * scale;
+      const height = screenVideo.videoHeight * scale;
+      context.drawImage(screenVideo, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+    }
+
+    if (cameraVideo.videoWidth) {
+      const size = Math.round(Math.min(canvas.width, canvas.height) * this.bubbleSize);
+      const margin = Math.round(size * 0.1);
+      const x = canvas.width - size - margin;
+      const y = canvas.height - size - margin;
+      // The middle square of the camera frame, clipped to a circle
+      const side = Math.min(cameraVideo.videoWidth, cameraVideo.videoHeight);
+      const sx = (cameraVideo.videoWidth - side) / 2;
+      const sy = (cameraVideo.videoHeight - side) / 2;
+
+      context.save();
+      context.beginPath();
+      context.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+      context.clip();
+      context.drawImage(cameraVideo, sx, sy, side, side, x, y, size, size);
+      context.restore();
+    }
+  }
+
+  /**
+   * @param {MediaStream} stream
+   * @returns {Promise<HTMLVideoElement>} A muted, detached video playing the stream.
+   */
+  static async playStream(stream) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    await video.play();
+    return video;
+  }
+}
+
+export default StreamCompositor;
@@ -1,3 +1,19 @@
+import SoundscapeEngine from './SoundscapeEngine.js';
+
+const SCHEDULER_INTERVAL_MS = 25; // How often the scheduler wakes up
+const LOOKAHEAD_SECONDS = 0.2; // How far ahead bubbles are placed on the audio clock
+const HIDDEN_LOOKAHEAD_SECONDS = 1.5; // Background tabs only wake timers about once a second
+const SLEEP_FADE_SECONDS = 30;
+
+// Range inputs for the engine settings: [key, label, min, max, step]
+const SETTING_CONTROLS = [
+	['density', 'Density', 0.25, 4, 0.25],
+	['pitch', 'Pitch', -2, 2, 0.1],
+	['range', 'Pitch range', 0.1, 2, 0.1],
+	['volume', 'Volume', 0, 1, 0.05],
+	['width', 'Stereo width', 0, 1, 0.05],
+];
+
 class Bubbles {
 	/**
 	 * @param {string} buttonId - The ID of the play/pause button element.
@@ -8,10 +24,13 @@ class Bubbles {
 	constructor(buttonId, messageId, playIconId, pauseIconId) {
 		this.audioContext = null;
 		this.isPlaying = false;
-		this.timeoutId = null; // Will store the ID of the setTimeout
-		this.currentChannel = 'left'; // 'left' or 'right'
-		this.soundDuration = 0.4; // Duration of each individual sine wave pulse in seconds
-
+		this.schedulerId = null; // Interval that tops up the look-ahead window
+		this.nextBubbleTime = 0; // AudioContext time of the next bubble
+		this.engine = null;
+		this.presetName = localStorage.getItem('kalvBubblesPreset') || 'reef';
+		this.settings = this.loadSettings();
+		this.sleepMinutes = 0;
+		this.sleepAt = null; // AudioContext time the sleep timer stops playback
 
 		// Get DOM elements
 		this.playPauseButton = document.getElementById(buttonId);
@@ -21,6 +40,7 @@ class Bubbles {
 
 		// Bind event listener
 		this.playPauseButton.addEventListener('click', () => this.togglePlayPause());
+		this.playPauseButton.after(this.createControls());
 
 		// Initial UI state
 		this.updateButtonState();
@@ -44,106 +64,183 @@ class Bubbles {
 	}
 
 	/**
-	 * Plays a single sine wave sound instance.
-	 * This includes setting a random frequency and alternating the stereo pan.
-	 * After playing, it schedules the next sound with a dynamic delay.
+	 * Engine settings saved from the last visit, falling back to the defaults.
+	 * @returns {Object}
 	 */
-	playSineWaveInstance() {
-		// Ensure audio context is initialized and active before playing
-		if (!this.audioContext || this.audioContext.state === 'closed') {
-			this.initAudioContext();
+	loadSettings() {
+		const settings = SoundscapeEngine.defaultSettings;
+		try {
+			const saved = JSON.parse(localStorage.getItem('kalvBubblesSettings')) || {};
+			Object.keys(settings).forEach((key) => {
+				if (typeof saved[key] === 'number') settings[key] = saved[key];
+			});
+		} catch (e) {
+			console.warn('Ignoring unreadable Bubbles settings');
 		}
+		return settings;
+	}
 
-		if (this.audioContext.state === 'suspended') {
-			this.audioContext.resume().then(() => {
-				// If resumed, try playing again
-				this._createAndPlaySound();
-			}).catch(e => console.error('Failed to resume audio context:', e));
-		} else {
-			this._createAndPlaySound();
-		}
+	/**
+	 * Builds the preset picker, the engine setting sliders and the sleep timer.
+	 * @returns {HTMLDivElement}
+	 */
+	createControls() {
+		const controls = document.createElement('div');
+		controls.className = 'bubbles-controls';
+		controls.appendChild(this.createPresetSelect());
 
-		// Schedule the next sound if still playing
-		if (this.isPlaying) {
-			// Generate a random delay for the *next* sound.
-			// Ensure the delay is at least as long as the sound duration
-			// to prevent overlapping and allow for a small gap.
-			const minDelay = this.soundDuration * 200; // Convert to milliseconds
-			const maxDelay = 200; // Max delay of 1 second (e.g., between 400ms and 1000ms)
-			const nextLoopDelay = Math.random() * (maxDelay - minDelay) + minDelay;
-
-			this.timeoutId = setTimeout(() => this.playSineWaveInstance(), nextLoopDelay);
+		SETTING_CONTROLS.forEach(([key, label, min, max, step]) => {
+			const input = document.createElement('input');
+			input.type = 'range';
+			input.min = String(min);
+			input.max = String(max);
+			input.step = String(step);
+			input.value = String(this.settings[key]);
+			input.addEventListener('input', () => {
+				this.settings[key] = parseFloat(input.value);
+				localStorage.setItem('kalvBubblesSettings', JSON.stringify(this.settings));
+				if (this.engine) this.engine.update(this.settings);
+			});
+
+			const wrapper = document.createElement('label');
+			wrapper.append(` ${label} `, input);
+			controls.appendChild(wrapper);
+		});
+
+		controls.append(' ', this.createSleepSelect());
+		return controls;
+	}
+
+	/**
+	 * @returns {HTMLSelectElement} Picks how many minutes to play before fading out.
+	 */
+	createSleepSelect() {
+		const select = document.createElement('select');
+		select.title = 'Sleep timer';
+		[[0, 'No sleep timer'], [15, 'Sleep in 15 min'], [30, 'Sleep in 30 min'], [60, 'Sleep in 1 hour'], [90, 'Sleep in 90 min']].forEach(([minutes, label]) => {
+			const option = document.createElement('option');
+			option.value = String(minutes);
+			option.textContent = label;
+			select.appendChild(option);
+		});
+		select.addEventListener('change', () => {
+			this.sleepMinutes = parseInt(select.value, 10);
+			if (this.isPlaying) this.armSleepTimer();
+		});
+		this.sleepSelect = select;
+		return select;
+	}
+
+	/**
+	 * Schedules (or cancels) the sleep fade on the audio clock, counting from now.
+	 * The scheduler calls stopLoop() once the fade has finished.
+	 */
+	armSleepTimer() {
+		if (!this.sleepMinutes) {
+			this.sleepAt = null;
+			this.engine.cancelFadeOut();
+			return;
 		}
+
+		const now = this.audioContext.currentTime;
+		const fadeSeconds = Math.min(SLEEP_FADE_SECONDS, this.sleepMinutes * 60);
+		this.sleepAt = now + this.sleepMinutes * 60;
+		this.engine.fadeOut(this.sleepAt - fadeSeconds, fadeSeconds);
 	}
 
 	/**
-	 * Private helper method to create and connect audio nodes for a single sound.
+	 * Builds the preset picker; changing it while playing crossfades to the new preset.
+	 * @returns {HTMLSelectElement}
 	 */
-	_createAndPlaySound() {
-		const oscillator = this.audioContext.createOscillator();
-		oscillator.type = 'sine';
-
-		const gainNode = this.audioContext.createGain();
-		gainNode.gain.value = 0.3; // Moderate volume
-
-		const pannerNode = this.audioContext.createStereoPanner();
-
-		// Random frequency between 20Hz and 100Hz
-		const frequency = Math.random() * (100 - 20) + 20;
-		oscillator.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-
-		// Alternate pan: -1 (left) or 1 (right)
-		const panValue = (this.currentChannel === 'left') ? -1 : 1;
-		pannerNode.pan.setValueAtTime(panValue, this.audioContext.currentTime);
-		this.currentChannel = (this.currentChannel === 'left') ? 'right' : 'left'; // Toggle for next sound
-
-		// Connect nodes: oscillator -> panner -> gain -> destination
-		oscillator.connect(pannerNode);
-		pannerNode.connect(gainNode);
-		gainNode.connect(this.audioContext.destination);
-
-		// Start and stop the oscillator after a short duration
-		oscillator.start(this.audioContext.currentTime);
-		//oscillator.stop(this.audioContext.currentTime + this.soundDuration);
-		oscillator.stop(this.audioContext.currentTime + Math.random() * (0.4 - 0.1) + 0.1);
-
-		// Clean up nodes after they finish playing
-		oscillator.onended = () => {
-			oscillator.disconnect();
-			pannerNode.disconnect();
-			gainNode.disconnect();
-		};
-
-		this.updateMessage(`Bubbling ${frequency.toFixed(2)} on ${panValue === -1 ? '<<' : '>>'}.`);
+	createPresetSelect() {
+		const select = document.createElement('select');
+		select.title = 'Soundscape';
+		SoundscapeEngine.presetNames.forEach((name) => {
+			const option = document.createElement('option');
+			option.value = name;
+			option.textContent = name;
+			option.selected = name === this.presetName;
+			select.appendChild(option);
+		});
+		select.addEventListener('change', () => {
+			this.presetName = select.value;
+			localStorage.setItem('kalvBubblesPreset', this.presetName);
+			if (this.engine) this.engine.setPreset(this.presetName);
+		});
+		return select;
+	}
+
+	/**
+	 * Look-ahead scheduler: places every bubble due before the end of the look-ahead
+	 * window at its exact time on the audio clock. The timer only needs to wake up
+	 * before the window runs out, so late or throttled ticks don't shift the timing.
+	 */
+	scheduleAhead() {
+		const now = this.audioContext.currentTime;
+		if (this.sleepAt !== null && now >= this.sleepAt) {
+			this.sleepMinutes = 0;
+			this.sleepSelect.value = '0';
+			this.stopLoop();
+			return;
+		}
+
+		// After a long stall (e.g. a suspended context) carry on from now instead of bursting
+		if (this.nextBubbleTime < now) this.nextBubbleTime = now;
+
+		const horizon = now + (document.hidden ? HIDDEN_LOOKAHEAD_SECONDS : LOOKAHEAD_SECONDS);
+		let bubble = null;
+		while (this.nextBubbleTime < horizon) {
+			bubble = this.engine.scheduleBubble(this.nextBubbleTime) || bubble;
+			this.nextBubbleTime += this.engine.nextBubbleDelay();
+		}
+
+		if (bubble) {
+			this.updateMessage(`Bubbling ${bubble.frequency.toFixed(2)} on ${bubble.pan < 0 ? '<<' : '>>'}.`);
+		}
 	}
 
 	/**
-	 * Starts the continuous looping of sine waves.
+	 * Fades the soundscape in and starts the bubbles.
 	 */
 	startLoop() {
+		this.initAudioContext();
 		this.isPlaying = true;
 		this.updateButtonState();
 
-		// Play the first sound immediately, which will then schedule subsequent sounds
-		this.playSineWaveInstance();
+		this.engine = new SoundscapeEngine(this.audioContext, this.presetName, this.settings);
+		this.engine.start();
+		this.armSleepTimer();
+
+		this.nextBubbleTime = this.audioContext.currentTime;
+		this.scheduleAhead();
+		this.schedulerId = setInterval(() => this.scheduleAhead(), SCHEDULER_INTERVAL_MS);
 	}
 
 	/**
-	 * Stops the continuous looping of sine waves and closes the AudioContext.
+	 * Fades the soundscape out, then closes the AudioContext.
 	 */
 	stopLoop() {
 		this.isPlaying = false;
 		this.updateButtonState();
 
-		clearTimeout(this.timeoutId); // Clear any pending setTimeout
+		clearInterval(this.schedulerId);
+		this.schedulerId = null;
+		this.sleepAt = null;
 		this.updateMessage('Sound stopped.');
 
-		// Close the audio context to release system resources
-		if (this.audioContext && this.audioContext.state !== 'closed') {
-			this.audioContext.close().then(() => {
-				console.log('AudioContext closed successfully');
-				this.audioContext = null; // Reset context reference
-			}).catch(e => console.error('Error closing AudioContext:', e));
+		const audioContext = this.audioContext;
+		const fadeEnd = this.engine ? this.engine.stop() : 0;
+		this.engine = null;
+		this.audioContext = null;
+
+		// Close the audio context once faded out to release system resources
+		if (audioContext && audioContext.state !== 'closed') {
+			const delay = Math.max(0, fadeEnd - audioContext.currentTime) * 1000;
+			setTimeout(() => {
+				audioContext.close().then(() => {
+					console.log('AudioContext closed successfully');
+				}).catch(e => console.error('Error closing AudioContext:', e));
+			}, delay);
 		}
 	}
 
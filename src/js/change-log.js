@@ -0,0 +1,109 @@
+import { openDatabase } from './databases.js';
+
+/**
+ * Per-record change log for syncing Deltos data between devices.
+ * Every write to a synced store records { id, dbName, storeName, uid, updatedAt, deleted }
+ * in kalvSync.changes, keyed "dbName/storeName/uid". Hard deletes leave a tombstone
+ * (deleted: true) so they can be passed on too.
+ */
+
+/**
+ * Stores that are kept in sync, and the field that identifies a record on every device.
+ * Notes use autoIncrement ids locally, so they carry a separate uid.
+ */
+const SYNCED_STORES = [
+  { dbName: 'kalvNotesDB', storeName: 'savedText', uidKey: 'uid' },
+  { dbName: 'windowImage', storeName: 'images', uidKey: 'id' },
+];
+
+let connection = null;
+const listeners = [];
+
+function changesDb() {
+  if (!connection) {
+    connection = openDatabase('kalvSync', { onClose: () => (connection = null) }).catch((error) => {
+      connection = null;
+      throw error;
+    });
+  }
+  return connection;
+}
+
+/**
+ * @returns {{dbName: string, storeName: string, uidKey: string}|undefined} The sync
+ *   config of a store, or undefined when it isn't synced.
+ */
+function syncedStore(dbName, storeName) {
+  return SYNCED_STORES.find((config) => config.dbName === dbName && config.storeName === storeName);
+}
+
+function changeId(dbName, storeName, uid) {
+  return `${dbName}/${storeName}/${uid}`;
+}
+
+async function changesRequest(mode, makeRequest) {
+  const db = await changesDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('changes', mode);
+    const request = makeRequest(transaction.objectStore('changes'));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Records that a record was written or deleted.
+ * @param {string} dbName
+ * @param {string} storeName
+ * @param {string} uid - The record's cross-device id.
+ * @param {Object} [options]
+ * @param {boolean} [options.deleted=false] - The record was removed.
+ * @param {number} [options.updatedAt=Date.now()] - When the change happened; sync passes the remote time.
+ * @param {boolean} [options.silent=false] - Don't tell listeners, for changes that came from a peer.
+ * @returns {Promise<Object>} The change entry.
+ */
+async function recordChange(dbName, storeName, uid, { deleted = false, updatedAt = Date.now(), silent = false } = {}) {
+  const entry = {
+    id: changeId(dbName, storeName, uid),
+    dbName: dbName,
+    storeName: storeName,
+    uid: uid,
+    updatedAt: updatedAt,
+    deleted: deleted,
+  };
+
+  try {
+    await changesRequest('readwrite', (store) => store.put(entry));
+  } catch (error) {
+    console.error('Error recording change:', error);
+    return entry;
+  }
+
+  if (!silent) listeners.forEach((listener) => listener(entry));
+  return entry;
+}
+
+/**
+ * @returns {Promise<Object[]>} Every change entry.
+ */
+function getChanges() {
+  return changesRequest('readonly', (store) => store.getAll());
+}
+
+/**
+ * @param {string} id - A "dbName/storeName/uid" change id.
+ * @returns {Promise<Object|undefined>}
+ */
+function getChange(id) {
+  return changesRequest('readonly', (store) => store.get(id));
+}
+
+/**
+ * Calls listener with each change entry recorded on this page.
+ * @param {function(Object): void} listener
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+export { SYNCED_STORES, syncedStore, changeId, recordChange, getChanges, getChange, onChange };
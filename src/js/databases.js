@@ -0,0 +1,268 @@
+import { createUid, extractTags, withNumericTimestamp } from './record-fields.js';
+
+/**
+ * Shared IndexedDB schema for Deltos, JustShare and the vlog recorder.
+ * Each database lists its versions in order. A version declares the stores
+ * (with keyPath/autoIncrement) and indexes it adds, and optionally a migrate(transaction, done)
+ * that rewrites existing data and calls done once it has. Opening a database runs every
+ * version above the one on disk in turn, each after the last one's migration is done, so
+ * all callers end up on the same schema and each migration runs once.
+ */
+const DATABASES = {
+  kalvNotesDB: [
+    {
+      version: 1,
+      stores: {
+        savedText: { keyPath: 'id', autoIncrement: true },
+      },
+    },
+    {
+      version: 2,
+      indexes: {
+        savedText: {
+          tags: { keyPath: 'tags', options: { multiEntry: true } },
+          timestamp: { keyPath: 'timestamp' },
+        },
+      },
+    },
+    {
+      version: 3,
+      indexes: {
+        savedText: {
+          uid: { keyPath: 'uid', options: { unique: true } },
+        },
+      },
+    },
+    {
+      version: 4,
+      migrate: backfillNoteFields,
+    },
+  ],
+  windowImage: [
+    {
+      version: 1,
+      stores: {
+        images: { keyPath: 'id' },
+      },
+    },
+    {
+      version: 2,
+      indexes: {
+        images: {
+          timestamp: { keyPath: 'timestamp' },
+        },
+      },
+    },
+    {
+      version: 3,
+      migrate: (transaction, done) => numericTimestamps(transaction, 'images', done),
+    },
+    {
+      version: 4,
+      migrate: dataUrlsToBlobs,
+    },
+  ],
+  kalvSync: [
+    {
+      version: 1,
+      stores: {
+        changes: { keyPath: 'id' },
+      },
+    },
+  ],
+  kalvSnapshots: [
+    {
+      version: 1,
+      stores: {
+        snapshots: { keyPath: 'id', autoIncrement: true },
+      },
+      indexes: {
+        snapshots: {
+          created: { keyPath: 'created' },
+        },
+      },
+    },
+  ],
+  justShare: [
+    {
+      version: 1,
+      stores: {
+        torrents: { keyPath: 'infoHash' },
+        pieces: { keyPath: ['infoHash', 'index'] },
+      },
+    },
+  ],
+  kalvVlog: [
+    {
+      version: 1,
+      stores: {
+        recordings: { keyPath: 'id' },
+        chunks: { keyPath: ['recordingId', 'index'] },
+      },
+    },
+  ],
+  kalvVlogLibrary: [
+    {
+      version: 1,
+      stores: {
+        videos: { keyPath: 'id' },
+      },
+    },
+    {
+      version: 2,
+      migrate: (transaction, done) => numericTimestamps(transaction, 'videos', done),
+    },
+  ],
+};
+
+// Notes saved before tagging and sync existed need tags for the tags index to find
+// them, and a uid to keep their identity on other devices
+function backfillNoteFields(transaction, done) {
+  transaction.objectStore('savedText').openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      done();
+      return;
+    }
+    if (!cursor.value.tags || !cursor.value.uid) {
+      cursor.update({
+        ...cursor.value,
+        tags: cursor.value.tags || extractTags(cursor.value.text),
+        uid: cursor.value.uid || createUid(),
+      });
+    }
+    cursor.continue();
+  };
+}
+
+// Images and videos were saved with Date timestamps before they were kept as numbers
+function numericTimestamps(transaction, storeName, done) {
+  transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      done();
+      return;
+    }
+    const record = withNumericTimestamp(cursor.value);
+    if (record !== cursor.value) cursor.update(record);
+    cursor.continue();
+  };
+}
+
+// Images stored before Blob support were data URLs in `data`; they become an `original`
+// Blob. Decoded in place, since a fetch() would outlive the upgrade transaction.
+function dataUrlsToBlobs(transaction, done) {
+  transaction.objectStore('images').openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      done();
+      return;
+    }
+    const { data, ...image } = cursor.value;
+    if (typeof data === 'string') {
+      try {
+        cursor.update({ ...image, original: dataUrlToBlob(data) });
+      } catch (error) {
+        console.error(`Could not convert stored image ${image.id} to a Blob:`, error);
+      }
+    }
+    cursor.continue();
+  };
+}
+
+function dataUrlToBlob(dataUrl) {
+  const match = /^data:([^;,]*)((?:;[^,]*)?),(.*)$/s.exec(dataUrl);
+  if (!match) throw new Error('Not a data URL');
+  const [, type, params, payload] = match;
+  const bytes = params.includes(';base64')
+    ? Uint8Array.from(atob(payload), (char) => char.charCodeAt(0))
+    : new TextEncoder().encode(decodeURIComponent(payload));
+  return new Blob([bytes], { type: type });
+}
+
+/**
+ * @param {string} dbName
+ * @returns {number} The latest declared version of the database.
+ */
+function latestVersion(dbName) {
+  const versions = DATABASES[dbName];
+  if (!versions) {
+    throw new Error(`No schema declared for database '${dbName}'.`);
+  }
+  return versions[versions.length - 1].version;
+}
+
+/**
+ * Applies a single schema version inside a versionchange transaction.
+ * Stores and indexes that already exist are left alone so a partially
+ * upgraded database can be brought forward safely. Calls done once any migration is done.
+ */
+function applyVersion(db, transaction, schema, done) {
+  for (const [storeName, storeOptions] of Object.entries(schema.stores || {})) {
+    if (!db.objectStoreNames.contains(storeName)) {
+      console.log(`Creating object store: ${storeName} in ${db.name}`);
+      db.createObjectStore(storeName, storeOptions);
+    }
+  }
+
+  for (const [storeName, indexes] of Object.entries(schema.indexes || {})) {
+    const store = transaction.objectStore(storeName);
+    for (const [indexName, index] of Object.entries(indexes)) {
+      if (!store.indexNames.contains(indexName)) {
+        store.createIndex(indexName, index.keyPath, index.options);
+      }
+    }
+  }
+
+  if (schema.migrate) {
+    schema.migrate(transaction, done);
+  } else {
+    done();
+  }
+}
+
+/**
+ * Opens a Deltos database at its latest version, running any pending migrations in order.
+ * The connection closes itself when another tab needs to upgrade the database.
+ * @param {string} dbName - One of the names declared in DATABASES.
+ * @param {Object} [options]
+ * @param {function(IDBDatabase): void} [options.onClose] - Called after such a close, so
+ *   callers that cache the connection can drop it and open a new one next time.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(dbName, { onClose = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, latestVersion(dbName));
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      const transaction = event.target.transaction;
+      const pending = DATABASES[dbName].filter((schema) => schema.version > event.oldVersion);
+      const next = () => {
+        const schema = pending.shift();
+        if (schema) applyVersion(db, transaction, schema, next);
+      };
+      next();
+    };
+
+    request.onsuccess = (event) => {
+      const db = event.target.result;
+      // Let a newer tab upgrade instead of blocking on this connection
+      db.onversionchange = () => {
+        db.close();
+        onClose(db);
+      };
+      resolve(db);
+    };
+
+    request.onblocked = () => {
+      console.warn(`Opening ${dbName} is blocked by another open connection.`);
+    };
+
+    request.onerror = (event) => {
+      reject(new Error(`Error opening DB ${dbName}: ${event.target.error}`));
+    };
+  });
+}
+
+export { DATABASES, openDatabase, latestVersion };
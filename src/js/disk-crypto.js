@@ -0,0 +1,177 @@
+/**
+ * Passphrase encryption for Kalv disks.
+ * The key comes from PBKDF2-SHA256 over the passphrase; the disk body is cut into
+ * chunks that are each sealed with AES-GCM under a fresh IV. Every chunk is framed as
+ *
+ *   [4 byte ciphertext length][1 byte last flag][12 byte IV][ciphertext]
+ *
+ * and authenticates its index and last flag, so reordered, dropped or truncated
+ * chunks fail to decrypt instead of restoring partial data.
+ */
+
+const ITERATIONS = 600000;
+const CHUNK_SIZE = 1024 * 1024;
+const IV_LENGTH = 12;
+const CHECK_TEXT = 'kalv-disk';
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Binds a chunk to its position so chunks can't be shuffled or cut short
+function chunkData(index, last) {
+  const data = new Uint8Array(5);
+  new DataView(data.buffer).setUint32(0, index);
+  data[4] = last ? 1 : 0;
+  return data;
+}
+
+/**
+ * Derives a fresh key for a new disk.
+ * @param {string} passphrase
+ * @returns {Promise<{key: CryptoKey, encryption: Object}>} The key, and the header
+ *   block that lets openEncryption derive it again and verify the passphrase.
+ */
+async function createEncryption(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, ITERATIONS);
+
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const check = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(CHECK_TEXT));
+
+  return {
+    key: key,
+    encryption: {
+      kdf: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: ITERATIONS,
+      salt: toBase64(salt),
+      cipher: 'AES-GCM',
+      checkIv: toBase64(iv),
+      check: toBase64(new Uint8Array(check))
+    }
+  };
+}
+
+/**
+ * Derives the key for an existing disk and checks the passphrase against it.
+ * @param {string} passphrase
+ * @param {Object} encryption - The header block written by createEncryption.
+ * @returns {Promise<CryptoKey>}
+ */
+async function openEncryption(passphrase, encryption) {
+  if (encryption.kdf !== 'PBKDF2' || encryption.cipher !== 'AES-GCM') {
+    throw new Error(`Unsupported disk encryption: ${encryption.kdf}/${encryption.cipher}`);
+  }
+
+  const key = await deriveKey(passphrase, fromBase64(encryption.salt), encryption.iterations);
+  try {
+    await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encryption.checkIv) }, key, fromBase64(encryption.check));
+  } catch (e) {
+    throw new Error('Wrong passphrase for this disk');
+  }
+  return key;
+}
+
+async function sealChunk(key, index, plain, last) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: iv, additionalData: chunkData(index, last) },
+    key,
+    plain
+  ));
+
+  const frame = new Uint8Array(5 + IV_LENGTH + sealed.length);
+  new DataView(frame.buffer).setUint32(0, sealed.length);
+  frame[4] = last ? 1 : 0;
+  frame.set(iv, 5);
+  frame.set(sealed, 5 + IV_LENGTH);
+  return frame;
+}
+
+function concatBytes(pieces, length) {
+  const joined = new Uint8Array(length);
+  let offset = 0;
+  for (const piece of pieces) {
+    joined.set(piece, offset);
+    offset += piece.length;
+  }
+  return joined;
+}
+
+/**
+ * Encrypts a stream of plaintext chunks into sealed chunk frames.
+ * @param {CryptoKey} key
+ * @param {AsyncIterable<Uint8Array>} chunks
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function* encryptChunks(key, chunks) {
+  // Small frames are only collected, and joined once there is a whole chunk's worth
+  let pieces = [];
+  let pending = 0;
+  let index = 0;
+
+  for await (const chunk of chunks) {
+    pieces.push(chunk);
+    pending += chunk.length;
+    if (pending < CHUNK_SIZE) continue;
+
+    const joined = concatBytes(pieces, pending);
+    let offset = 0;
+    for (; joined.length - offset >= CHUNK_SIZE; offset += CHUNK_SIZE) {
+      yield await sealChunk(key, index++, joined.subarray(offset, offset + CHUNK_SIZE), false);
+    }
+    pieces = [joined.subarray(offset)];
+    pending = joined.length - offset;
+  }
+
+  yield await sealChunk(key, index, concatBytes(pieces, pending), true);
+}
+
+/**
+ * Decrypts sealed chunk frames back into plaintext.
+ * @param {CryptoKey} key
+ * @param {ByteStreamReader} reader - Positioned at the first chunk frame.
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+async function* decryptChunks(key, reader) {
+  for (let index = 0; ; index++) {
+    const head = await reader.readBytes(5 + IV_LENGTH);
+    const length = new DataView(head.buffer).getUint32(0);
+    const last = head[4] === 1;
+    const sealed = await reader.readBytes(length);
+
+    let plain;
+    try {
+      plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: head.subarray(5), additionalData: chunkData(index, last) },
+        key,
+        sealed
+      );
+    } catch (e) {
+      throw new Error(`Disk is damaged: chunk ${index} failed to decrypt`);
+    }
+    yield new Uint8Array(plain);
+
+    if (last) return;
+  }
+}
+
+export { createEncryption, openEncryption, encryptChunks, decryptChunks };
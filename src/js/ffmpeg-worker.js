@@ -0,0 +1,125 @@
+/**
+ * FFmpeg worker for FFmpegClient.
+ * Loads the single-threaded @ffmpeg/core served from the site itself (copied to /ffmpeg
+ * by Eleventy) and runs commands off the main thread. Requests are
+ * { id, type, ...args } and are answered with { id, result } or { id, error }:
+ *
+ * - load { coreUrl, wasmUrl }: imports the core; both files are kept in the Cache API so
+ *   later visits work offline. The cache is named after the core's version, and caches of
+ *   other versions are deleted. Posts { type: 'progress', stage: 'load', loaded, total }
+ *   while the wasm downloads.
+ * - writeFile { name, data }, readFile { name }, deleteFile { name }
+ * - exec { args }: resolves with ffmpeg's exit code. Posts { type: 'progress', stage: 'exec',
+ *   progress, time } and { type: 'log', message } while it runs.
+ */
+import { version as coreVersion } from '../../node_modules/@ffmpeg/core/package.json';
+
+const CACHE_PREFIX = 'kalv-ffmpeg-core';
+const CACHE_NAME = `${CACHE_PREFIX}-${coreVersion}`;
+
+let core = null;
+
+// Frees the space taken by cores from before the site updated @ffmpeg/core
+async function deleteOldCaches() {
+  if (!self.caches) return;
+  const names = await self.caches.keys();
+  await Promise.all(names
+    .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+    .map((name) => self.caches.delete(name)));
+}
+
+// Fetches a file through the Cache API, reporting download progress if asked to
+async function fetchCached(url, reportProgress = false) {
+  const cache = self.caches ? await self.caches.open(CACHE_NAME) : null;
+  const cached = cache ? await cache.match(url) : null;
+  if (cached) {
+    const bytes = new Uint8Array(await cached.arrayBuffer());
+    if (reportProgress) self.postMessage({ type: 'progress', stage: 'load', loaded: bytes.length, total: bytes.length });
+    return bytes;
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not fetch ${url}: HTTP ${response.status}`);
+  }
+  const type = response.headers.get('Content-Type') || 'application/octet-stream';
+
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    if (reportProgress) self.postMessage({ type: 'progress', stage: 'load', loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  if (cache) {
+    await cache.put(url, new Response(bytes, { headers: { 'Content-Type': type } }));
+  }
+  return bytes;
+}
+
+const handlers = {
+  async load({ coreUrl, wasmUrl }) {
+    if (core) return true;
+    await deleteOldCaches();
+    const script = URL.createObjectURL(new Blob([await fetchCached(coreUrl)], { type: 'text/javascript' }));
+    importScripts(script);
+    URL.revokeObjectURL(script);
+    const wasmBinary = await fetchCached(wasmUrl, true);
+    core = await self.createFFmpegCore({ wasmBinary });
+    core.setLogger(({ message }) => self.postMessage({ type: 'log', message }));
+    core.setProgress(({ progress, time }) => self.postMessage({ type: 'progress', stage: 'exec', progress, time }));
+    return true;
+  },
+
+  writeFile({ name, data }) {
+    core.FS.writeFile(name, data);
+    return true;
+  },
+
+  readFile({ name }) {
+    return core.FS.readFile(name);
+  },
+
+  deleteFile({ name }) {
+    core.FS.unlink(name);
+    return true;
+  },
+
+  exec({ args }) {
+    core.exec(...args);
+    const code = core.ret;
+    core.reset();
+    return code;
+  },
+};
+
+self.onmessage = async (event) => {
+  const { id, type, ...args } = event.data;
+
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown request: ${type}`);
+    }
+    if (type !== 'load' && !core) {
+      throw new Error('FFmpeg is not loaded');
+    }
+    const result = await handlers[type](args);
+    // File contents are handed over rather than copied
+    const transfer = result instanceof Uint8Array ? [result.buffer] : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
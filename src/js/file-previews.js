@@ -0,0 +1,126 @@
+// The dist build carries its own punycode, which the browser bundle has no other source for
+import MarkdownIt from 'markdown-it/dist/markdown-it.js';
+
+/**
+ * Inline previews for files downloaded through JustShare.
+ * Media is streamed into its element while the torrent is still downloading; everything
+ * else is previewed from the finished file. Works with the WebTorrent 1.x file API
+ * (renderTo, getBlob) and 2.x (streamTo through a service worker server, blob()).
+ */
+
+const TYPES = {
+  mp4: 'video/mp4', m4v: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime', ogv: 'video/ogg',
+  mp3: 'audio/mpeg', m4a: 'audio/mp4', aac: 'audio/aac', ogg: 'audio/ogg', oga: 'audio/ogg',
+  opus: 'audio/ogg', wav: 'audio/wav', flac: 'audio/flac',
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  avif: 'image/avif', svg: 'image/svg+xml', bmp: 'image/bmp',
+  txt: 'text/plain', log: 'text/plain', csv: 'text/csv', json: 'application/json',
+  md: 'text/markdown', markdown: 'text/markdown',
+  pdf: 'application/pdf',
+};
+
+// Bigger text files are offered as downloads only
+const MAX_TEXT_PREVIEW = 2 * 1024 * 1024;
+
+// Raw HTML in markdown is escaped, so a shared file can't inject markup into the page
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+/**
+ * @param {string} name - A file name.
+ * @returns {string} The MIME type guessed from the extension, or ''.
+ */
+function mimeType(name) {
+  const extension = name.split('.').pop().toLowerCase();
+  return TYPES[extension] || '';
+}
+
+/**
+ * @param {string} name
+ * @returns {string|null} One of video, audio, image, markdown, text, pdf; null when there is no preview.
+ */
+function previewKind(name) {
+  const type = mimeType(name);
+  if (type === 'text/markdown') return 'markdown';
+  if (type === 'application/pdf') return 'pdf';
+  if (type === 'application/json') return 'text';
+  const kind = type.split('/')[0];
+  return ['video', 'audio', 'image', 'text'].includes(kind) ? kind : null;
+}
+
+/**
+ * Reads a finished torrent file into a Blob typed from its name.
+ * @param {Object} file - A WebTorrent file.
+ * @returns {Promise<Blob>}
+ */
+async function fileBlob(file) {
+  const blob = file.blob
+    ? await file.blob()
+    : await new Promise((resolve, reject) => file.getBlob((err, result) => (err ? reject(err) : resolve(result))));
+  return new Blob([blob], { type: mimeType(file.name) || blob.type });
+}
+
+/**
+ * Starts playing a file into a media element while it downloads.
+ * @param {Object} file - A WebTorrent file.
+ * @param {HTMLMediaElement} element
+ * @param {boolean} canServe - The client has a 2.x stream server to play through.
+ * @returns {boolean} False when the file has to finish before it can play.
+ */
+function streamMedia(file, element, canServe) {
+  try {
+    if (file.renderTo) {
+      file.renderTo(element, { autoplay: false });
+      return true;
+    }
+    if (file.streamTo && canServe) {
+      file.streamTo(element);
+      return true;
+    }
+  } catch (error) {
+    console.warn(`Can't stream ${file.name}, waiting for the download:`, error);
+  }
+  return false;
+}
+
+/**
+ * Fills a container with a preview of a finished file.
+ * @param {HTMLElement} container
+ * @param {string} kind - From previewKind.
+ * @param {Blob} blob
+ * @param {string} url - An object URL for blob, owned by the caller.
+ */
+async function renderPreview(container, kind, blob, url) {
+  if (kind === 'image') {
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = '';
+    container.replaceChildren(img);
+  } else if (kind === 'pdf') {
+    const frame = document.createElement('iframe');
+    frame.src = url;
+    frame.title = 'PDF preview';
+    container.replaceChildren(frame);
+  } else if (kind === 'video' || kind === 'audio') {
+    const media = container.querySelector(kind) || document.createElement(kind);
+    media.controls = true;
+    if (!media.src) media.src = url;
+    container.replaceChildren(media);
+  } else if (blob.size > MAX_TEXT_PREVIEW) {
+    container.textContent = 'Too large to preview.';
+  } else if (kind === 'markdown') {
+    const article = document.createElement('div');
+    article.className = 'markdown-preview';
+    article.innerHTML = markdown.render(await blob.text());
+    article.querySelectorAll('a').forEach((a) => {
+      a.target = '_blank';
+      a.rel = 'noopener noreferrer';
+    });
+    container.replaceChildren(article);
+  } else if (kind === 'text') {
+    const pre = document.createElement('pre');
+    pre.textContent = await blob.text();
+    container.replaceChildren(pre);
+  }
+}
+
+export { previewKind, fileBlob, streamMedia, renderPreview };
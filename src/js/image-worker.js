@@ -0,0 +1,26 @@
+/**
+ * Image resize worker for DroppableImageTarget.
+ * Receives { id, blob, maxDimension, type, quality }, draws the image onto an
+ * OffscreenCanvas no larger than maxDimension on its longest side and posts
+ * back { id, blob, width, height } re-encoded as type, or { id, error }.
+ */
+self.onmessage = async (event) => {
+  const { id, blob, maxDimension, type, quality } = event.data;
+
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    // Browsers without an encoder for the requested type hand back PNG instead
+    const resized = await canvas.convertToBlob({ type, quality });
+    self.postMessage({ id, blob: resized, width, height });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
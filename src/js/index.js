@@ -2,11 +2,38 @@ import * as THREE from "three";
 import { OBJLoader } from "three/addons/loaders/OBJLoader.js";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import JustShare from "./just-share.js";
+import { activeTrackers } from "./trackers.js";
 import Notes from "./notes.js";
 import Bubbles from "./bubbles.js";
 import DroppableImageTarget from "./DroppableImageTarget.js";
 import IndexedDBBackupRestore from "./IndexedDBBackupRestore.js";
+import DeltosSync from "./DeltosSync.js";
+import FFmpegClient from "./FFmpegClient.js";
+import StreamCompositor from "./StreamCompositor.js";
+import {
+  createRecording,
+  saveChunk,
+  updateRecording,
+  deleteRecording,
+  loadRecordings,
+  saveVideo,
+  listVideos,
+  deleteVideo,
+} from "./vlog-store.js";
+import {
+  FORMATS,
+  HEIGHTS,
+  normaliseExport,
+  buildExportCommand,
+  fallbackExport,
+  exportSeconds,
+  concatList,
+  trimmedSeconds,
+  logTime,
+} from "./vlog-export.js";
+import { createUid } from "./record-fields.js";
 import * as SunCalc from "suncalc";
+import { version } from "../../package.json";
 
 let scene = undefined;
 
@@ -17,36 +44,401 @@ let startButton = null;
 let stopButton = null;
 let status = null;
 let downloadLink = null;
-
-let ffmpeg;
+let ffmpegProgress = null;
+
+let pauseButton = null;
+let exportButton = null;
+let takeList = null;
+let trimControls = null;
+let trimInputs = null;
+let cameraSelect = null;
+let microphoneSelect = null;
+let libraryList = null;
+let libraryUrls = []; // Object URLs of the library's videos and thumbnails
+
+let ffmpeg = null;
+let exportSettings = null;
+let exportDuration = 0; // Seconds of input the running export reads, 0 if unknown
 let mediaRecorder;
 let recordedBlobs = [];
 let mediaStream;
 let ffmpegWorking = false;
+let recordedMs = 0; // Length of the current take, not counting pauses
+let segmentStartedAt = 0; // When the current take last started or resumed
+let takes = [];
+let nextTakeNumber = 1;
+let trimmingTake = null;
+let captureSettings = null;
+let compositor = null; // Set while recording the screen
+let recordingSource = "camera"; // Capture mode of the current take
+let recordingId = null; // Key of the current take in kalvVlog
+let recordingNumber = 0;
+let storageWarned = false;
+
+const TAKE_LIST = "takes.txt"; // Concat demuxer script
+const TIMESLICE_MS = 1000; // How often recorded data is handed over and saved
+const THUMBNAIL_WIDTH = 160;
+const CAPTURE_MODES = {
+  camera: "Camera",
+  screen: "Screen",
+  composite: "Screen + camera",
+};
 
 // --- Initialization ---
 
-async function loadFFmpeg() {
-  status.textContent = "Loading ffmpeg-core.js...";
+// Adds the pause button, take list and trim controls around the page's recorder elements
+function initRecorder() {
+  pauseButton = document.createElement("button");
+  pauseButton.textContent = "Pause";
+  pauseButton.disabled = true;
+  pauseButton.addEventListener("click", togglePause);
+  stopButton.after(pauseButton);
+
+  captureSettings = loadCaptureSettings();
+  startButton.before(createSourceControls());
+  refreshDevices();
+  if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener("devicechange", refreshDevices);
+  }
+  preview.muted = true; // Screen recordings carry the page's own audio
+
+  takeList = document.createElement("ol");
+  takeList.className = "vlog-takes";
+  trimControls = createTrimControls();
+  exportButton = document.createElement("button");
+  exportButton.textContent = "Export selected takes";
+  exportButton.addEventListener("click", exportTakes);
+  downloadLink.before(takeList, trimControls, exportButton);
+  libraryList = document.createElement("ul");
+  libraryList.className = "vlog-library";
+  downloadLink.after(libraryList);
+
+  // Trimmed takes only play up to their out point
+  preview.addEventListener("timeupdate", () => {
+    if (trimmingTake && preview.currentTime >= trimmingTake.outPoint) {
+      preview.pause();
+    }
+  });
+
+  loadFFmpeg();
+  renderTakes();
+  recoverTakes();
+  renderLibrary();
+}
+
+function loadCaptureSettings() {
+  const settings = { mode: "camera", camera: "", microphone: "" };
   try {
-    ffmpeg = FFmpeg.createFFmpeg({
-      log: true, // Enable logging for debugging
-      corePath: "https://unpkg.com/@ffmpeg/core@0.11.0/dist/ffmpeg-core.js",
-      // Use the same version core as the main library
+    const saved = JSON.parse(localStorage.getItem("kalvVlogCapture")) || {};
+    Object.keys(settings).forEach((key) => {
+      if (typeof saved[key] === "string") settings[key] = saved[key];
     });
-    await ffmpeg.load();
-    status.textContent = "FFmpeg loaded. Ready to record.";
-    startButton.disabled = false;
+  } catch (e) {
+    console.warn("Ignoring unreadable vlog capture settings");
+  }
+  if (!CAPTURE_MODES[settings.mode] || !canCaptureScreen()) {
+    settings.mode = "camera";
+  }
+  return settings;
+}
+
+function saveCaptureSettings(changes) {
+  captureSettings = { ...captureSettings, ...changes };
+  localStorage.setItem("kalvVlogCapture", JSON.stringify(captureSettings));
+}
+
+function canCaptureScreen() {
+  return Boolean(
+    navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia
+  );
+}
+
+// Builds the capture mode, camera and microphone pickers
+function createSourceControls() {
+  const controls = document.createElement("div");
+  controls.className = "vlog-sources";
+
+  const select = (label, key) => {
+    const input = document.createElement("select");
+    input.addEventListener("change", () => {
+      saveCaptureSettings({ [key]: input.value });
+      updateVisibility();
+    });
+    const wrapper = document.createElement("label");
+    wrapper.append(` ${label} `, input);
+    controls.appendChild(wrapper);
+    return input;
+  };
+
+  const modeSelect = select("Record", "mode");
+  Object.entries(CAPTURE_MODES).forEach(([mode, text]) => {
+    if (mode !== "camera" && !canCaptureScreen()) return;
+    const option = document.createElement("option");
+    option.value = mode;
+    option.textContent = text;
+    modeSelect.appendChild(option);
+  });
+  modeSelect.value = captureSettings.mode;
+  cameraSelect = select("Camera", "camera");
+  microphoneSelect = select("Microphone", "microphone");
+
+  // Screen-only recordings don't use the camera
+  function updateVisibility() {
+    cameraSelect.parentElement.style.display =
+      captureSettings.mode === "screen" ? "none" : "";
+  }
+  updateVisibility();
+  return controls;
+}
+
+// Lists cameras and microphones. Browsers only name devices once the page may use them,
+// so this runs again whenever a recording starts.
+async function refreshDevices() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return;
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  [
+    [cameraSelect, "videoinput", "camera", "Camera"],
+    [microphoneSelect, "audioinput", "microphone", "Microphone"],
+  ].forEach(([input, kind, key, name]) => {
+    const options = [["", "Default"]];
+    devices
+      .filter((device) => device.kind === kind && device.deviceId)
+      .forEach((device, index) =>
+        options.push([device.deviceId, device.label || `${name} ${index + 1}`])
+      );
+    input.replaceChildren(
+      ...options.map(([value, text]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        return option;
+      })
+    );
+    input.value = captureSettings[key];
+    // A saved device that has gone away leaves nothing selected
+    if (input.value !== captureSettings[key]) input.value = "";
+  });
+}
+
+// Opens the stream to record for the chosen capture mode. Screen modes mix the
+// microphone with any audio the browser shares along with the screen.
+async function openCaptureStream() {
+  const { mode, camera, microphone } = captureSettings;
+  const video = { width: { ideal: 1280 }, height: { ideal: 720 } };
+  // Plain device ids are preferences, so a missing device falls back to the default
+  if (camera) video.deviceId = camera;
+  const audio = microphone ? { deviceId: microphone } : true;
+
+  if (mode === "camera") {
+    return navigator.mediaDevices.getUserMedia({ video, audio });
+  }
+
+  const screen = await navigator.mediaDevices.getDisplayMedia({
+    video: true,
+    audio: true,
+  });
+  let userMedia = null;
+  try {
+    userMedia = await navigator.mediaDevices.getUserMedia({
+      video: mode === "composite" ? video : false,
+      audio,
+    });
+    compositor = new StreamCompositor({
+      screen,
+      camera: mode === "composite" ? userMedia : null,
+      microphone: userMedia,
+    });
+    const stream = await compositor.start();
+    // Stopping the share from the browser's own controls ends the take
+    screen.getVideoTracks()[0].addEventListener("ended", stopRecording);
+    return stream;
   } catch (error) {
-    console.error("Error loading ffmpeg:", error);
+    [screen, userMedia].forEach((stream) => {
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    });
+    if (compositor) compositor.stop();
+    compositor = null;
+    throw error;
+  }
+}
+
+// Sets up ffmpeg without downloading it; the core is only fetched once a recording starts.
+// Recording never waits on ffmpeg: if it can't run, takes can only be downloaded unprocessed.
+function loadFFmpeg() {
+  ffmpegProgress = document.createElement("progress");
+  ffmpegProgress.max = 1;
+  ffmpegProgress.style.display = "none";
+  status.after(ffmpegProgress);
+
+  if (FFmpegClient.isSupported()) {
+    ffmpeg = new FFmpegClient({
+      onProgress: showFFmpegProgress,
+      onLog: (message) => {
+        // ffmpeg logs every frame; set kalvDebugFFmpeg in localStorage to see it all
+        if (localStorage.getItem("kalvDebugFFmpeg")) console.debug(message);
+        showExportTime(message);
+      },
+    });
+    exportSettings = loadExportSettings();
+    exportButton.before(createExportControls());
+    status.textContent = "Ready to record.";
+  } else {
     status.textContent =
-      "Error loading FFmpeg. Check console and COOP/COEP headers.";
-    alert(
-      "Failed to load FFmpeg. Ensure your server sends COOP/COEP headers and you are using HTTPS or localhost."
+      "Ready to record. This browser can't run ffmpeg, so recordings download unprocessed.";
+  }
+  startButton.disabled = false;
+}
+
+function loadExportSettings() {
+  try {
+    return normaliseExport(
+      JSON.parse(localStorage.getItem("kalvVlogExport")) || {}
     );
+  } catch (e) {
+    console.warn("Ignoring unreadable vlog export settings");
+    return normaliseExport();
   }
 }
 
+function saveExportSettings(changes) {
+  exportSettings = normaliseExport({ ...exportSettings, ...changes });
+  localStorage.setItem("kalvVlogExport", JSON.stringify(exportSettings));
+}
+
+// Builds the export preset pickers: format, height, mirror and rate control
+function createExportControls() {
+  const controls = document.createElement("div");
+  controls.className = "vlog-export";
+
+  const select = (label, options, value, onChange) => {
+    const input = document.createElement("select");
+    options.forEach(([optionValue, text]) => {
+      const option = document.createElement("option");
+      option.value = optionValue;
+      option.textContent = text;
+      input.appendChild(option);
+    });
+    input.value = String(value);
+    input.addEventListener("change", () => onChange(input.value));
+    const wrapper = document.createElement("label");
+    wrapper.append(` ${label} `, input);
+    return wrapper;
+  };
+
+  const number = (label, key, min, max) => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = String(min);
+    input.max = String(max);
+    input.value = String(exportSettings[key]);
+    input.addEventListener("change", () => {
+      const parsed = parseInt(input.value, 10);
+      if (parsed >= min && parsed <= max) saveExportSettings({ [key]: parsed });
+      else input.value = String(exportSettings[key]);
+    });
+    const wrapper = document.createElement("label");
+    wrapper.append(` ${label} `, input);
+    return wrapper;
+  };
+
+  const formatSelect = select(
+    "Export",
+    Object.entries(FORMATS).map(([key, format]) => [key, format.label]),
+    exportSettings.format,
+    (format) => {
+      saveExportSettings({ format });
+      updateVisibility();
+    }
+  );
+  const heightSelect = select(
+    "Height",
+    HEIGHTS.map((height) => [height, `${height}p`]),
+    exportSettings.height,
+    (height) => saveExportSettings({ height: parseInt(height, 10) })
+  );
+
+  const mirror = document.createElement("input");
+  mirror.type = "checkbox";
+  mirror.checked = exportSettings.mirror;
+  mirror.addEventListener("change", () =>
+    saveExportSettings({ mirror: mirror.checked })
+  );
+  const mirrorLabel = document.createElement("label");
+  mirrorLabel.append(" ", mirror, " Mirror");
+
+  const rateSelect = select(
+    "Quality",
+    [
+      ["bitrate", "Bitrate"],
+      ["crf", "Constant quality (CRF)"],
+    ],
+    exportSettings.rateControl,
+    (rateControl) => {
+      saveExportSettings({ rateControl });
+      updateVisibility();
+    }
+  );
+  const bitrate = number("kbit/s", "bitrate", 100, 20000);
+  const crf = number("CRF", "crf", 0, 63);
+
+  // Only show the settings the chosen format uses
+  function updateVisibility() {
+    const format = FORMATS[exportSettings.format];
+    const encoded = !format.audioOnly && !format.clip;
+    heightSelect.style.display = format.audioOnly ? "none" : "";
+    mirrorLabel.style.display = format.audioOnly ? "none" : "";
+    rateSelect.style.display = encoded ? "" : "none";
+    bitrate.style.display =
+      encoded && exportSettings.rateControl === "bitrate" ? "" : "none";
+    crf.style.display =
+      encoded && exportSettings.rateControl === "crf" ? "" : "none";
+  }
+
+  controls.append(
+    formatSelect,
+    heightSelect,
+    mirrorLabel,
+    rateSelect,
+    bitrate,
+    crf
+  );
+  updateVisibility();
+  return controls;
+}
+
+function showFFmpegProgress({ stage, loaded, total, progress }) {
+  if (stage === "load") {
+    ffmpegProgress.style.display = total ? "inline-block" : "none";
+    ffmpegProgress.value = total ? loaded / total : 0;
+    if (loaded === total) ffmpegProgress.style.display = "none";
+  } else if (stage === "exec" && !exportDuration) {
+    // Recordings often have no duration in their header, so this is a fallback for
+    // when the recording's length isn't known
+    if (progress > 0 && progress <= 1) ffmpegProgress.value = progress;
+  }
+}
+
+// Moves the progress bar on from the time= in ffmpeg's stats lines
+function showExportTime(message) {
+  if (!ffmpegWorking || !exportDuration) return;
+  const time = logTime(message);
+  if (time !== null) {
+    ffmpegProgress.value = Math.min(time / exportDuration, 1);
+  }
+}
+
+// Shows a download link for a recording
+function offerDownload(blob, filename) {
+  if (downloadLink.href.startsWith("blob:")) {
+    URL.revokeObjectURL(downloadLink.href);
+  }
+  downloadLink.href = URL.createObjectURL(blob);
+  downloadLink.download = filename;
+  downloadLink.style.display = "block";
+}
+
 // --- Webcam and Recording Logic ---
 async function startRecording() {
   if (ffmpegWorking) {
@@ -55,15 +447,22 @@ async function startRecording() {
   }
   recordedBlobs = [];
   actualMimeType = ""; // Reset actual mime type
+  closeTrim();
+
+  // Fetch ffmpeg while recording so it's ready for the export
+  if (ffmpeg) {
+    ffmpeg
+      .load()
+      .catch((error) => console.error("Error loading ffmpeg:", error));
+  }
   downloadLink.style.display = "none";
   downloadLink.href = "#";
   preview.style.display = "block";
 
   try {
-    mediaStream = await navigator.mediaDevices.getUserMedia({
-      video: { width: { ideal: 1280 }, height: { ideal: 720 } },
-      audio: true,
-    });
+    recordingSource = captureSettings.mode;
+    mediaStream = await openCaptureStream();
+    refreshDevices();
 
     const videoTrack = mediaStream.getVideoTracks()[0];
     const settings = videoTrack.getSettings();
@@ -95,16 +494,42 @@ async function startRecording() {
     }
     console.log(`MediaRecorder active with mimeType: ${actualMimeType}`);
 
+    // Every timeslice of data goes straight to IndexedDB, so a crash loses at most one
+    const id = createUid();
+    let chunkIndex = 0;
+    recordingId = id;
+    recordingNumber = nextTakeNumber++;
+    createRecording({
+      id,
+      number: recordingNumber,
+      mimeType: actualMimeType,
+      source: recordingSource,
+      started: new Date(),
+      duration: 0,
+      inPoint: 0,
+      outPoint: 0,
+      selected: true,
+    }).catch(reportStorageError);
+
     mediaRecorder.ondataavailable = (event) => {
-      if (event.data && event.data.size > 0) recordedBlobs.push(event.data);
+      if (event.data && event.data.size > 0) {
+        recordedBlobs.push(event.data);
+        saveChunk(id, chunkIndex++, event.data, recordedSeconds()).catch(
+          reportStorageError
+        );
+      }
     };
     mediaRecorder.onstop = handleStop; // handleStop will now use global 'actualMimeType'
-    mediaRecorder.start();
+    mediaRecorder.start(TIMESLICE_MS);
+    recordedMs = 0;
+    segmentStartedAt = performance.now();
 
     console.log("MediaRecorder started", mediaRecorder);
     status.textContent = "Recording... (Audio & Video)";
     startButton.disabled = true;
     stopButton.disabled = false;
+    pauseButton.disabled = false;
+    renderTakes();
   } catch (err) {
     console.error("Error starting recording:", err);
     // Check specifically for OverconstrainedError which can happen if exact constraints fail
@@ -122,99 +547,511 @@ async function startRecording() {
   }
 }
 
+// Length of the current take so far, not counting pauses
+function recordedSeconds() {
+  const running = mediaRecorder && mediaRecorder.state === "recording";
+  return (
+    (recordedMs + (running ? performance.now() - segmentStartedAt : 0)) / 1000
+  );
+}
+
+// Recording carries on when it can't be saved, e.g. because storage is full
+function reportStorageError(error) {
+  console.error("Could not save the recording to IndexedDB:", error);
+  if (!storageWarned) {
+    storageWarned = true;
+    status.textContent =
+      "This browser's storage is full or unavailable, so takes will be lost if the tab closes.";
+  }
+}
+
+function togglePause() {
+  if (!mediaRecorder) return;
+  if (mediaRecorder.state === "recording") {
+    mediaRecorder.pause();
+    recordedMs += performance.now() - segmentStartedAt;
+    pauseButton.textContent = "Resume";
+    status.textContent = "Paused.";
+  } else if (mediaRecorder.state === "paused") {
+    mediaRecorder.resume();
+    segmentStartedAt = performance.now();
+    pauseButton.textContent = "Pause";
+    status.textContent = "Recording... (Audio & Video)";
+  }
+}
+
 function stopRecording() {
   if (mediaRecorder && mediaRecorder.state !== "inactive") {
+    if (mediaRecorder.state === "recording") {
+      recordedMs += performance.now() - segmentStartedAt;
+    }
     mediaRecorder.stop();
     stopButton.disabled = true;
-    status.textContent = "Stopping recording, preparing for processing...";
+    pauseButton.disabled = true;
+    pauseButton.textContent = "Pause";
+    status.textContent = "Stopping recording...";
     preview.style.display = "none";
   }
 }
 
-async function handleStop() {
+// Adds the finished recording to the session's takes
+function handleStop() {
   console.log("Recorder stopped. Blobs recorded:", recordedBlobs.length);
+  cleanupStream(); // Stop webcam tracks
+  startButton.disabled = false;
+
   if (recordedBlobs.length === 0) {
     status.textContent = "No data recorded.";
-    startButton.disabled = false; // Re-enable start
-    cleanupStream();
+    deleteRecording(recordingId).catch(console.error);
+    renderTakes();
+    return;
+  }
+
+  // Determine the mimeType used by the recorder
+  const mimeType = mediaRecorder.mimeType || "video/webm"; // Fallback guess
+  const blob = new Blob(recordedBlobs, { type: mimeType });
+  recordedBlobs = [];
+
+  const number = recordingNumber;
+  const duration = recordedMs / 1000;
+  addTake({
+    id: recordingId,
+    number,
+    blob,
+    mimeType,
+    duration,
+    inPoint: 0,
+    outPoint: duration,
+    selected: true,
+    source: recordingSource,
+  });
+  updateRecording(recordingId, {
+    finished: true,
+    mimeType,
+    duration,
+    outPoint: duration,
+  }).catch(reportStorageError);
+
+  status.textContent = ffmpeg
+    ? `Take ${number} recorded. Record another, or trim and export the selected takes.`
+    : `Take ${number} recorded and ready for download (unprocessed).`;
+  renderTakes();
+}
+
+// --- Takes ---
+
+function formatSeconds(seconds) {
+  return `${seconds.toFixed(1)} s`;
+}
+
+function addTake(take) {
+  // Extract file extension (heuristic)
+  let extension = "webm"; // Default guess
+  if (take.mimeType.includes("mp4")) extension = "mp4";
+  else if (take.mimeType.includes("quicktime")) extension = "mov";
+
+  takes.push({
+    ...take,
+    url: URL.createObjectURL(take.blob),
+    filename: `take-${take.number}.${extension}`,
+  });
+  nextTakeNumber = Math.max(nextTakeNumber, take.number + 1);
+}
+
+// Brings back the takes saved by an earlier visit, including any a crash cut short
+async function recoverTakes() {
+  let saved;
+  try {
+    saved = await loadRecordings();
+  } catch (error) {
+    console.error("Could not load saved takes:", error);
+    return;
+  }
+  // The current recording is saved too, if one started while this was loading
+  saved = saved.filter((record) => record.id !== recordingId);
+  if (saved.length === 0) return;
+
+  saved.forEach(({ recovered, finished, started, ...take }) => addTake(take));
+  takes.sort((a, b) => a.number - b.number);
+  const unfinished = saved.filter((record) => record.recovered).length;
+  status.textContent =
+    unfinished > 0
+      ? `Recovered ${saved.length} take(s) from an earlier session, ${unfinished} of them cut short.`
+      : `Restored ${saved.length} take(s) from an earlier session.`;
+  renderTakes();
+}
+
+function renderTakes() {
+  takeList.replaceChildren(...takes.map(takeItem));
+
+  const recording = mediaRecorder && mediaRecorder.state !== "inactive";
+  exportButton.style.display = ffmpeg && takes.length > 0 ? "" : "none";
+  exportButton.disabled =
+    ffmpegWorking || recording || !takes.some((take) => take.selected);
+}
+
+function takeItem(take) {
+  const item = document.createElement("li");
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = take.selected;
+  checkbox.addEventListener("change", () => {
+    take.selected = checkbox.checked;
+    updateRecording(take.id, { selected: take.selected }).catch(console.error);
+    renderTakes();
+  });
+  const label = document.createElement("label");
+  const length =
+    take.inPoint > 0 || take.outPoint < take.duration
+      ? `${formatSeconds(take.outPoint - take.inPoint)} of ${formatSeconds(
+          take.duration
+        )}`
+      : formatSeconds(take.duration);
+  label.append(checkbox, ` Take ${take.number} (${length})`);
+
+  const trim = document.createElement("button");
+  trim.textContent = "Trim";
+  trim.addEventListener("click", () => openTrim(take));
+
+  const download = document.createElement("a");
+  download.href = take.url;
+  download.download = take.filename.replace("take", "recording-take");
+  download.textContent = "Download";
+
+  const remove = document.createElement("button");
+  remove.textContent = "Remove";
+  remove.addEventListener("click", () => removeTake(take));
+
+  item.append(label, " ", trim, " ", download, " ", remove);
+  return item;
+}
+
+function removeTake(take) {
+  if (trimmingTake === take) closeTrim();
+  URL.revokeObjectURL(take.url);
+  takes = takes.filter((other) => other !== take);
+  deleteRecording(take.id).catch(console.error);
+  renderTakes();
+}
+
+// In and out sliders for the take being trimmed; moving either one seeks the preview there
+function createTrimControls() {
+  const controls = document.createElement("div");
+  controls.className = "vlog-trim";
+  controls.style.display = "none";
+
+  const slider = (label, point) => {
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = "0";
+    input.step = "0.1";
+    input.addEventListener("input", () =>
+      setTrimPoint(point, parseFloat(input.value))
+    );
+    const wrapper = document.createElement("label");
+    wrapper.append(` ${label} `, input);
+    controls.appendChild(wrapper);
+    return input;
+  };
+  trimInputs = {
+    inPoint: slider("In", "inPoint"),
+    outPoint: slider("Out", "outPoint"),
+  };
+
+  const done = document.createElement("button");
+  done.textContent = "Done";
+  done.addEventListener("click", closeTrim);
+  controls.append(" ", done);
+  return controls;
+}
+
+function openTrim(take) {
+  if (mediaRecorder && mediaRecorder.state !== "inactive") return;
+  trimmingTake = take;
+  Object.entries(trimInputs).forEach(([point, input]) => {
+    input.max = String(take.duration);
+    input.value = String(take[point]);
+  });
+  trimControls.style.display = "block";
+
+  preview.srcObject = null;
+  preview.src = take.url;
+  preview.controls = true;
+  preview.style.display = "block";
+  preview.currentTime = take.inPoint;
+}
+
+function setTrimPoint(point, value) {
+  const take = trimmingTake;
+  // Keep at least a tenth of a second between the in and out points
+  if (point === "inPoint") {
+    take.inPoint = Math.max(0, Math.min(value, take.outPoint - 0.1));
+  } else {
+    take.outPoint = Math.min(
+      take.duration,
+      Math.max(value, take.inPoint + 0.1)
+    );
+  }
+  trimInputs[point].value = String(take[point]);
+  preview.currentTime = take[point];
+  updateRecording(take.id, {
+    inPoint: take.inPoint,
+    outPoint: take.outPoint,
+  }).catch(console.error);
+  renderTakes();
+}
+
+function closeTrim() {
+  if (!trimmingTake) return;
+  trimmingTake = null;
+  trimControls.style.display = "none";
+  preview.pause();
+  preview.removeAttribute("src");
+  preview.load();
+  preview.controls = false;
+  preview.style.display = "none";
+}
+
+// --- Library ---
+
+// Lists the processed videos kept in kalvVlogLibrary
+async function renderLibrary() {
+  let videos;
+  try {
+    videos = await listVideos();
+  } catch (error) {
+    console.error("Could not load the video library:", error);
     return;
   }
 
+  libraryUrls.forEach((url) => URL.revokeObjectURL(url));
+  libraryUrls = [];
+  const objectUrl = (blob) => {
+    const url = URL.createObjectURL(blob);
+    libraryUrls.push(url);
+    return url;
+  };
+
+  libraryList.replaceChildren(
+    ...videos.map((video) => {
+      const item = document.createElement("li");
+      if (video.thumbnail) {
+        const thumbnail = document.createElement("img");
+        thumbnail.src = objectUrl(video.thumbnail);
+        thumbnail.alt = "";
+        item.append(thumbnail, " ");
+      }
+
+      const link = document.createElement("a");
+      link.href = objectUrl(video.video);
+      link.download = video.name;
+      link.textContent = video.name;
+
+      const details = [new Date(video.timestamp).toLocaleString()];
+      if (video.duration) details.unshift(formatSeconds(video.duration));
+
+      const remove = document.createElement("button");
+      remove.textContent = "Delete";
+      remove.addEventListener("click", () =>
+        deleteVideo(video.id).then(renderLibrary, console.error)
+      );
+
+      item.append(link, ` (${details.join(", ")}) `, remove);
+      return item;
+    })
+  );
+}
+
+// Saves an export to the library with a thumbnail and its length
+async function addToLibrary(blob, name, format, expectedSeconds) {
+  const { thumbnail, duration } = await describeMedia(blob);
+  await saveVideo({
+    id: createUid(),
+    name,
+    video: blob,
+    thumbnail,
+    mimeType: blob.type,
+    format,
+    duration: duration || expectedSeconds,
+    timestamp: Date.now(),
+  });
+  await renderLibrary();
+}
+
+// Resolves on the element's next event of that type, rejects if it can't play the media
+function mediaEvent(media, type) {
+  return new Promise((resolve, reject) => {
+    media.addEventListener(type, resolve, { once: true });
+    media.addEventListener("error", () => reject(media.error), { once: true });
+  });
+}
+
+function thumbnailOf(source, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = Math.round((THUMBNAIL_WIDTH * height) / width);
+  canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.8));
+}
+
+// A small JPEG from near the start of a video or animation, and its length when the
+// browser can tell. Either is null if the browser can't play the format.
+async function describeMedia(blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    if (blob.type.startsWith("image/")) {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      return {
+        thumbnail: await thumbnailOf(
+          image,
+          image.naturalWidth,
+          image.naturalHeight
+        ),
+        duration: null,
+      };
+    }
+
+    const video = blob.type.startsWith("video/");
+    const media = document.createElement(video ? "video" : "audio");
+    media.muted = true;
+    media.preload = "auto";
+    media.src = url;
+    await mediaEvent(media, "loadeddata");
+    const duration = Number.isFinite(media.duration) ? media.duration : null;
+    if (!video || !media.videoWidth) return { thumbnail: null, duration };
+
+    media.currentTime = Math.min(1, (duration || 0) / 2);
+    await mediaEvent(media, "seeked");
+    return {
+      thumbnail: await thumbnailOf(media, media.videoWidth, media.videoHeight),
+      duration,
+    };
+  } catch (error) {
+    console.warn("Could not read the exported video:", error);
+    return { thumbnail: null, duration: null };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Deletes files from ffmpeg's file system, ignoring any that were never written
+async function deleteFFmpegFiles(names) {
+  for (const name of names) {
+    try {
+      await ffmpeg.deleteFile(name);
+    } catch (error) {
+      // Not there
+    }
+  }
+}
+
+// Joins the selected takes, trimmed, with the concat demuxer and runs the export preset
+async function exportTakes() {
+  const selected = takes.filter((take) => take.selected);
+  if (!ffmpeg || ffmpegWorking || selected.length === 0) return;
+
   status.textContent = "Processing video with ffmpeg... Please wait.";
   ffmpegWorking = true;
   startButton.disabled = true; // Disable start during processing
-  stopButton.disabled = true; // Keep stop disabled
+  downloadLink.style.display = "none";
+  renderTakes();
 
   try {
-    // 1. Combine Blobs
-    // Determine the mimeType used by the recorder
-    const mimeType = mediaRecorder.mimeType || "video/webm"; // Fallback guess
-    const superBlob = new Blob(recordedBlobs, { type: mimeType });
-
-    // Extract file extension (heuristic)
-    let inputFilename = "input.webm"; // Default guess
-    if (mimeType.includes("mp4")) inputFilename = "input.mp4";
-    else if (mimeType.includes("quicktime")) inputFilename = "input.mov";
-
-    // 2. Write Blob to ffmpeg's virtual file system
-    const inputData = await FFmpeg.fetchFile(superBlob);
-    ffmpeg.FS("writeFile", inputFilename, inputData);
-    console.log(
-      `Wrote ${inputFilename} to ffmpeg FS (${inputData.length} bytes)`
+    await ffmpeg.load();
+  } catch (error) {
+    console.error("Error loading ffmpeg:", error);
+    status.textContent = `FFmpeg could not load (${error.message}). The takes can still be downloaded unprocessed.`;
+    ffmpegWorking = false;
+    startButton.disabled = false;
+    renderTakes();
+    return;
+  }
+
+  // Mirroring suits the webcam, but would flip any text on a recorded screen
+  const settings = selected.some((take) => take.source !== "camera")
+    ? { ...exportSettings, mirror: false }
+    : exportSettings;
+  const files = [...selected.map((take) => take.filename), TAKE_LIST];
+  const writeInputs = async () => {
+    for (const take of selected) {
+      await ffmpeg.writeFile(take.filename, take.blob);
+    }
+    await ffmpeg.writeFile(
+      TAKE_LIST,
+      new TextEncoder().encode(concatList(selected))
     );
+  };
 
-    // 3. Run ffmpeg command
-    // -i input.webm : Input file
-    // -vf "scale=-1:720": Scale video height to 720p, maintain aspect ratio
-    // -c:v libx264: Encode video using H.264 codec (good for MP4)
-    // -preset ultrafast: Faster encoding, lower quality/compression. Good for browser.
-    // -crf 23: Constant Rate Factor (quality, lower=better, 18-28 is common)
-    // -an: No audio (remove if you recorded audio and want it)
-    // output.mp4: Output filename
-    const ffmpegCommand = [
-      "-i",
-      inputFilename,
-      "-vf",
-      "hflip,scale=trunc(iw*480/ih/2)*2:480",
-      "-c:v",
-      "libx264",
-      "-preset",
-      "ultrafast",
-      //'-crf', '23',
-      "-b:v",
-      "2000k",
-      "-c:a",
-      "aac",
-      "-b:a",
-      "128k",
-      "output.mp4",
-    ];
-    console.log("Running ffmpeg command:", ffmpegCommand.join(" "));
-    await ffmpeg.run(...ffmpegCommand);
+  try {
+    // 1. Write the takes and the concat list to ffmpeg's virtual file system
+    await writeInputs();
+    console.log(`Wrote ${selected.length} takes to ffmpeg FS`);
+
+    // 2. Run the command for the chosen export preset
+    let command = buildExportCommand(TAKE_LIST, settings, ["-f", "concat"]);
+    exportDuration = exportSeconds(settings, trimmedSeconds(selected));
+    ffmpegProgress.value = 0;
+    ffmpegProgress.style.display = "inline-block";
+    console.log("Running ffmpeg command:", command.args.join(" "));
+    try {
+      await ffmpeg.exec(command.args);
+    } catch (error) {
+      const fallback = fallbackExport(settings);
+      if (!fallback) throw error;
+      console.warn("Export failed, trying the fallback:", error);
+      status.textContent = "Processing failed, trying again with VP8...";
+      // A crashed core can't be trusted, so start a fresh one
+      ffmpeg.terminate();
+      await ffmpeg.load();
+      await writeInputs();
+      command = buildExportCommand(TAKE_LIST, fallback, ["-f", "concat"]);
+      ffmpegProgress.value = 0;
+      console.log("Running ffmpeg command:", command.args.join(" "));
+      await ffmpeg.exec(command.args);
+    }
+    const { outputFilename, mimeType: outputType } = command;
+    files.push(outputFilename);
     console.log("FFmpeg processing finished.");
 
-    // 4. Read the processed file
-    const outputData = ffmpeg.FS("readFile", "output.mp4");
-    console.log(`Read output.mp4 from ffmpeg FS (${outputData.length} bytes)`);
+    // 3. Read the processed file
+    const outputData = await ffmpeg.readFile(outputFilename);
+    console.log(
+      `Read ${outputFilename} from ffmpeg FS (${outputData.length} bytes)`
+    );
 
-    // 5. Create Download Link
-    const outputBlob = new Blob([outputData.buffer], { type: "video/mp4" });
-    const url = URL.createObjectURL(outputBlob);
-    downloadLink.href = url;
-    downloadLink.style.display = "block"; // Show download link
-    status.textContent = "Processing complete. Video ready for download!";
+    // 4. Create Download Link
+    const outputBlob = new Blob([outputData], { type: outputType });
+    const name = `vlog-${new Date()
+      .toISOString()
+      .slice(0, 19)
+      .replace(/[:T]/g, "-")}.${outputFilename.split(".").pop()}`;
+    offerDownload(outputBlob, name);
+    status.textContent = "Processing complete. Ready for download!";
 
-    // 6. Cleanup ffmpeg FS
-    ffmpeg.FS("unlink", inputFilename);
-    ffmpeg.FS("unlink", "output.mp4");
+    // 5. Keep it in the library
+    try {
+      await addToLibrary(outputBlob, name, settings.format, exportDuration);
+    } catch (error) {
+      console.error("Could not save the video to the library:", error);
+      status.textContent =
+        "Processing complete. Ready for download, but it couldn't be saved to the library.";
+    }
   } catch (error) {
     console.error("Error during ffmpeg processing:", error);
-    status.textContent = `Error processing video: ${error.message || error}`;
+    status.textContent = `Error processing video: ${
+      error.message || error
+    }. The takes can still be downloaded unprocessed.`;
   } finally {
+    // 6. Cleanup ffmpeg FS
+    await deleteFFmpegFiles(files);
     ffmpegWorking = false;
-    cleanupStream(); // Stop webcam tracks
+    exportDuration = 0;
+    ffmpegProgress.style.display = "none";
     startButton.disabled = false; // Re-enable start button
-    stopButton.disabled = true; // Keep stop disabled until next recording
+    renderTakes();
   }
 }
 
@@ -246,6 +1083,10 @@ function getSupportedMimeTypeOptions() {
 }
 
 function cleanupStream() {
+  if (compositor) {
+    compositor.stop();
+    compositor = null;
+  }
   if (mediaStream) {
     mediaStream.getTracks().forEach((track) => track.stop());
     mediaStream = null;
@@ -615,13 +1456,49 @@ class Clock {
   }
 }
 
-const DB_NAMES = ["kalvNotesDB", "windowImage"];
+const DB_NAMES = ["kalvNotesDB", "windowImage", "kalvVlogLibrary"];
+// Restore points are taken every half hour, too often to copy every video in the library
+const SNAPSHOT_DB_NAMES = ["kalvNotesDB", "windowImage"];
+const SNAPSHOT_INTERVAL_MS = 30 * 60 * 1000;
+
+const DISK_FILENAME = "kalvdotcouk-disk-1.kalv";
 
 function showMessage(message, type = "info") {
   const messageBox = document.getElementById("messageBox");
   messageBox.textContent = message;
 }
 
+// One line per "dbName.storeName" from an IndexedDBBackupRestore.restore() report, then any warnings
+function describeRestoreReport(report) {
+  const lines = Object.entries(report.stores).map(
+    ([name, counts]) =>
+      `${name}: ${counts.added} added, ${counts.updated} updated, ${counts.skipped} skipped` +
+      (counts.removed ? `, ${counts.removed} removed` : "")
+  );
+  const summary = lines.length > 0 ? lines.join("; ") : "nothing to restore";
+  return [summary, ...report.warnings].join(" ");
+}
+
+// Streams a disk straight to a file where the browser allows it, otherwise
+// collects it into a Blob (which browsers can page to disk) for a download link.
+async function saveDisk(createStream, filename) {
+  if (window.showSaveFilePicker) {
+    const handle = await window.showSaveFilePicker({ suggestedName: filename });
+    await createStream().pipeTo(await handle.createWritable());
+    return;
+  }
+
+  const blob = await new Response(createStream()).blob();
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 class InitKalv {
   constructor() {
     const nort = document.getElementById("nort");
@@ -645,68 +1522,184 @@ class InitKalv {
 
       new Bubbles("playPauseButton", "bubblesMessage", "playIcon", "pauseIcon");
 
-      new DroppableImageTarget("imageWindow");
-
-      const backupRestore = new IndexedDBBackupRestore(DB_NAMES);
-      document
-        .getElementById("backupBtn")
-        .addEventListener("click", async () => {
-          try {
-            showMessage("Saving backup disk...", "info");
-            const json = await backupRestore.backup();
-            const blob = new Blob([json], { type: "application/json" });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement("a");
-            a.href = url;
-            a.download = "kalvdotcouk-disk-1.json";
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            showMessage("Disk downloaded successfully!", "success");
-          } catch (error) {
-            console.error("Disk save failed:", error);
-            showMessage(`Disk save failed: ${error.message}.`, "error");
-          } finally {
-            backupRestore.closeConnections();
-          }
-        });
+      new DroppableImageTarget("imageWindow", { maxHistory: 20 });
+
+      const backupRestore = new IndexedDBBackupRestore(DB_NAMES, {
+        appVersion: version,
+        snapshotDbNames: SNAPSHOT_DB_NAMES,
+      });
+      const backupBtn = document.getElementById("backupBtn");
+
+      // Optional passphrase, used to encrypt new disks and tried first on encrypted ones
+      const passphraseInput = document.createElement("input");
+      passphraseInput.type = "password";
+      passphraseInput.placeholder = "Disk passphrase (optional)";
+      passphraseInput.autocomplete = "new-password";
+      backupBtn.before(passphraseInput);
+
+      backupBtn.addEventListener("click", async () => {
+        try {
+          showMessage("Saving backup disk...", "info");
+          const passphrase = passphraseInput.value;
+          await saveDisk(
+            () => backupRestore.backup({ passphrase: passphrase }),
+            DISK_FILENAME
+          );
+          showMessage("Disk downloaded successfully!", "success");
+        } catch (error) {
+          console.error("Disk save failed:", error);
+          showMessage(`Disk save failed: ${error.message}.`, "error");
+        } finally {
+          backupRestore.closeConnections();
+        }
+      });
+
+      const restoreBtn = document.getElementById("restoreBtn");
+
+      // How a disk is combined with what is already stored
+      const restoreMode = document.createElement("select");
+      [
+        ["merge", "Merge, keep newest"],
+        ["append", "Add as new"],
+        ["replace", "Replace all"],
+      ].forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        restoreMode.appendChild(option);
+      });
+      restoreBtn.before(restoreMode);
+
+      const previewBtn = document.createElement("button");
+      previewBtn.type = "button";
+      previewBtn.textContent = "Preview";
+      restoreBtn.after(previewBtn);
+
+      // Local restore points, so a bad restore can be rolled back without a disk file
+      const restorePoints = document.createElement("details");
+      const restorePointsTitle = document.createElement("summary");
+      restorePointsTitle.textContent = "Restore points";
+      const restorePointsList = document.createElement("ul");
+      restorePoints.append(restorePointsTitle, restorePointsList);
+      previewBtn.after(restorePoints);
+
+      const renderRestorePoints = async () => {
+        const snapshots = await backupRestore.listSnapshots();
+        restorePointsList.replaceChildren(
+          ...snapshots.map((snapshot) => {
+            const li = document.createElement("li");
+            li.textContent = `${new Date(
+              snapshot.created
+            ).toLocaleString()} :: ${snapshot.reason} :: ${Math.ceil(
+              snapshot.size / 1024
+            )} KB `;
+
+            const rollBack = document.createElement("a");
+            rollBack.href = "#";
+            rollBack.textContent = "Roll back";
+            rollBack.addEventListener("click", async (e) => {
+              e.preventDefault();
+              if (
+                !confirm("Replace all Deltos data with this restore point?")
+              ) {
+                return;
+              }
+              showMessage("Rolling back...", "info");
+              try {
+                await backupRestore.restoreSnapshot(snapshot.id);
+                showMessage(
+                  "Rolled back! Reload to see the restored data.",
+                  "success"
+                );
+              } catch (error) {
+                console.error("Roll back failed:", error);
+                showMessage(`Roll back failed: ${error.message}.`, "error");
+              }
+              renderRestorePoints();
+            });
+
+            li.appendChild(rollBack);
+            return li;
+          })
+        );
+      };
+
+      backupRestore
+        .startSnapshots(SNAPSHOT_INTERVAL_MS, renderRestorePoints)
+        .then(renderRestorePoints)
+        .catch((error) => console.error("Snapshots unavailable:", error));
+
+      const runRestore = async (dryRun) => {
+        const fileInput = document.getElementById("uploadFile");
+        const file = fileInput.files[0];
+
+        if (!file) {
+          showMessage("Please select a kalv disk to upload.", "error");
+          return;
+        }
+
+        showMessage(dryRun ? "Checking disk..." : "Loading disk...", "info");
+        try {
+          const report = await backupRestore.restore(file, {
+            mode: restoreMode.value,
+            dryRun: dryRun,
+            getPassphrase: () =>
+              passphraseInput.value ||
+              prompt("This disk is encrypted. Enter its passphrase:"),
+          });
+          const summary = describeRestoreReport(report);
+          showMessage(
+            dryRun ? `Would change: ${summary}` : `Loaded! ${summary}`,
+            "success"
+          );
+        } catch (error) {
+          console.error("Loading failed:", error);
+          showMessage(`Loading failed: ${error.message}.`, "error");
+        } finally {
+          backupRestore.closeConnections();
+        }
+        if (!dryRun) renderRestorePoints();
+      };
 
       // Event listener for the "Upload & Restore" button
-      document
-        .getElementById("restoreBtn")
-        .addEventListener("click", async () => {
-          const fileInput = document.getElementById("uploadFile");
-          const file = fileInput.files[0];
-
-          if (!file) {
-            showMessage("Please select a kalv disk to upload.", "error");
-            return;
-          }
+      restoreBtn.addEventListener("click", () => runRestore(false));
+      previewBtn.addEventListener("click", () => runRestore(true));
+
+      // Pairing with another device for peer-to-peer sync
+      const syncBox = document.createElement("div");
+      const syncCode = document.createElement("input");
+      syncCode.type = "text";
+      syncCode.placeholder = "Sync code";
+      syncCode.value = localStorage.getItem("kalvSyncCode") || "";
+      const newCode = document.createElement("a");
+      newCode.href = "#";
+      newCode.textContent = "New code";
+      const pairBtn = document.createElement("button");
+      pairBtn.type = "button";
+      pairBtn.textContent = "Sync";
+      const syncStatus = document.createElement("span");
+      syncBox.append(syncCode, " ", newCode, " ", pairBtn, " ", syncStatus);
+      restorePoints.after(syncBox);
+
+      const sync = new DeltosSync({
+        trackers: activeTrackers(),
+        onStatus: (message) => (syncStatus.textContent = message),
+      });
 
-          showMessage("Loading disk...", "info");
-          const reader = new FileReader();
-          reader.onload = async (e) => {
-            const jsonString = e.target.result;
-            try {
-              await backupRestore.restore(jsonString);
-              showMessage("Loaded!", "success");
-            } catch (error) {
-              console.error("Loading failed:", error);
-              showMessage(`Loading failed: ${error.message}.`, "error");
-            } finally {
-              backupRestore.closeConnections();
-            }
-          };
-          reader.onerror = (error) => {
-            console.error("File reading error:", error);
-            showMessage(
-              "Error reading file. Check console for errors.",
-              "error"
-            );
-          };
-          reader.readAsText(file);
-        });
+      newCode.addEventListener("click", (e) => {
+        e.preventDefault();
+        syncCode.value = createUid();
+      });
+
+      pairBtn.addEventListener("click", async () => {
+        try {
+          localStorage.setItem("kalvSyncCode", syncCode.value.trim());
+          await sync.pair(syncCode.value);
+        } catch (error) {
+          console.error("Sync failed:", error);
+          syncStatus.textContent = `Sync failed: ${error.message}`;
+        }
+      });
 
       // Important: Close connections when the page is unloaded to prevent pending requests
       window.addEventListener("beforeunload", () => {
@@ -1,7 +1,23 @@
+import { IdbChunkStore, saveTorrent, updateTorrent, listTorrents, forgetTorrent } from './torrent-store.js';
+import { parseMagnet, parseTorrentFile } from './torrent-id.js';
+import qrcode from 'qrcode-generator';
+import QrScanner from './QrScanner.js';
+import { previewKind, fileBlob, streamMedia, renderPreview } from './file-previews.js';
+import DroppableImageTarget from './DroppableImageTarget.js';
+import { DEFAULT_TRACKERS, validateTrackerUrl, loadTrackerSettings, saveTrackerSettings, activeTrackers, withoutMagnetTrackers } from './trackers.js';
+
 class JustShare {
 
-	constructor() {
+	/**
+	 * @param {Object} [options]
+	 * @param {string[]} [options.trackers] - Trackers to use until the user saves their own list.
+	 * @param {string} [options.serviceWorkerUrl] - WebTorrent 2.x sw.min.js, needed there to stream media while downloading.
+	 */
+	constructor({ trackers = DEFAULT_TRACKERS, serviceWorkerUrl = null } = {}) {
     this.client = new WebTorrent();
+    this.defaultTrackers = trackers;
+    this.canServe = false;
+    if (serviceWorkerUrl && this.client.createServer) this.startStreamServer(serviceWorkerUrl);
     this.fileInput = document.getElementById('fileInput');
     this.seedButton = document.getElementById('seedButton');
     this.seedingInfo = document.getElementById('seedingInfo');
@@ -10,122 +26,683 @@ class JustShare {
     this.downloadInfo = document.getElementById('downloadInfo');
     this.downloadedContent = document.getElementById('downloadedContent');
 
-		this.selectedFile = null;
+		this.selectedFiles = [];
+		this.torrents = new Map(); // infoHash -> { torrent, kind, row, cells, pauseLink, paused, previews, urls }
+		this.refreshTimer = null;
+
+		this.buildTrackerEditor();
+		this.buildFolderInput();
+		this.buildTorrentFileInput();
+		this.buildScanner();
+		this.buildTorrentTable();
+		this.buildHistory();
+		this.restoreTorrents();
 
 		// --- Seeding Logic ---
-    this.fileInput.addEventListener('change', () => {
-        this.selectedFile = this.fileInput.files[0];
-        this.seedButton.disabled = !this.selectedFile;
-        if (this.selectedFile) {
-            this.seedingInfo.innerHTML = `Selected: ${this.selectedFile.name}`;
-        } else {
-            this.seedingInfo.innerHTML = '';
-        }
-    });
+    this.fileInput.multiple = true;
+    this.fileInput.addEventListener('change', () => this.selectFiles(this.fileInput.files));
 
 		seedButton.addEventListener('click', () => {
-  	    if (!this.selectedFile) return;
+  	    if (this.selectedFiles.length === 0) return;
   	    this.seedButton.disabled = true;
-  	    this.seedingInfo.innerHTML = 'Starting seed...';
+  	    this.seedingInfo.textContent = 'Starting seed...';
+
+  	    const trackers = this.trackers();
+  	    if (trackers.length === 0) {
+  	        this.seedingInfo.textContent = 'Add a tracker before seeding.';
+  	        this.seedButton.disabled = false;
+  	        return;
+  	    }
 
-  	    // Use public WebTorrent trackers (you can add more)
-				// updated from https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_all_ws.txt
-  	    const trackers = [
-          'wss://tracker.webtorrent.dev',
-					'wss://tracker.btorrent.xyz',
-  	    ];
+  	    // announceList replaces the public trackers create-torrent would otherwise add
+  	    const options = { announce: trackers, announceList: trackers.map((url) => [url]), store: IdbChunkStore };
+  	    // A folder is named after its top directory; loose files need a name of their own
+  	    if (this.selectedFiles.length > 1 && !this.selectedFiles[0].fullPath) {
+  	        options.name = `${this.selectedFiles.length} files from ${new Date().toISOString().slice(0, 10)}`;
+  	    }
 
-  	    this.client.seed(this.selectedFile, { announce: trackers }, (torrent) => {
+  	    const seeding = this.client.seed(this.selectedFiles, options, (torrent) => {
   	        console.log('Client is seeding:', torrent.infoHash);
-  	        this.seedingInfo.innerHTML = `
-  	            <p><strong>Seeding File:</strong> ${torrent.name}</p>
-  	            <p><strong>Magnet URI:</strong> <input type='text' value='${torrent.magnetURI}' size='60' readonly onclick='this.select();'></p>
-  	            <p>Copy and share the Magnet URI above.</p>
-  	            <p>Status: <span id="seedStatus">Seeding... 0 peers</span></p>
-  	        `;
-
-  	        const statusElem = document.getElementById('seedStatus');
-  	         setInterval(() => {
-               console.log("updating peers");
-  	             if (statusElem) {
-  	                statusElem.textContent = `Seeding... ${torrent.numPeers} peers`;
-  	             }
-  	         }, 2000); // Update peer count periodically
+  	        this.renderSeedingInfo(torrent);
+  	        this.seedButton.disabled = false;
+  	        this.trackTorrent(torrent, 'Seeding');
+  	    });
+  	    // Unreadable files or a torrent already in the list end the seed here, not in the callback
+  	    seeding.once('error', (err) => {
+  	        console.error('Seeding error:', err);
+  	        this.showSeedError(err.message);
+  	        this.seedButton.disabled = false;
   	    });
   	});
 
 		// --- Downloading Logic ---
 		downloadButton.addEventListener('click', () => {
-			const magnetURI = this.magnetInput.value.trim();
-      console.log(magnetURI);
-			if (magnetURI == undefined) {
-				alert('Please enter a Magnet URI or Info Hash.');
+			let parsed;
+			try {
+				parsed = parseMagnet(this.magnetInput.value);
+			} catch (error) {
+				this.showDownloadError(error.message);
 				return;
 			}
-			this.downloadButton.disabled = true;
-			this.downloadInfo.innerHTML = `Adding torrent: ${magnetURI} ...`;
-			this.downloadedContent.innerHTML = ''; // Clear previous downloads
-
-			this.client.add(magnetURI, (torrent) => {
-				this.downloadInfo.innerHTML = `
-										<p><strong>Downloading:</strong> ${torrent.name || 'Fetching metadata...'}</p>
-										<p>Status: <span id="dlStatus">Connecting... 0 peers</span></p>
-										<p>Progress: <span id="dlProgress">0%</span></p>
-										<p>Download Speed: <span id="dlSpeed">0 B/s</span></p>
-								`;
-
-				const statusElem = document.getElementById('dlStatus');
-				const progressElem = document.getElementById('dlProgress');
-				const speedElem = document.getElementById('dlSpeed');
-
-				torrent.on('metadata', () => {
-					downloadInfo.querySelector('strong').textContent = `Downloading: ${torrent.name}`;
-				});
-
-				torrent.on('download', (bytes) => {
-					if (statusElem) statusElem.textContent = `Downloading... ${torrent.numPeers} peers`;
-					if (progressElem) progressElem.textContent = `${(torrent.progress * 100).toFixed(1)}%`;
-					if (speedElem) speedElem.textContent = `${this.formatBytes(torrent.downloadSpeed)}/s`;
-				});
-
-				torrent.on('done', () => {
-					console.log('Torrent download finished');
-					if (statusElem) statusElem.textContent = `Finished! ${torrent.numPeers} peers`;
-					if (progressElem) progressElem.textContent = '100%';
-					if (speedElem) speedElem.textContent = '0 B/s';
-
-					// Append files to the page (display links)
-					torrent.files.forEach((file) => {
-						file.getBlobURL((err, url) => {
-							if (err) return console.error(err);
-							const a = document.createElement('a');
-							a.href = url;
-							a.download = file.name;
-							a.textContent = `Download ${file.name}`;
-							downloadedContent.appendChild(a);
-							downloadedContent.appendChild(document.createElement('br'));
-						});
-					});
-				});
-
-				torrent.on('error', (err) => {
-					console.error("Torrent error:", err);
-					if (statusElem) statusElem.textContent = `Error: ${err.message}`;
-					this.downloadButton.disabled = false;
-				});
-			});
+			this.startDownload(parsed);
 		});
 
     // handle torrent client errors
     this.client.on('error', (err) => {
         console.error('WebTorrent client error:', err);
-        // Potentially disable buttons or show a global error state
-        this.seedButton.disabled = true;
-        this.downloadButton.disabled = true;
+        // Only a destroyed client is past recovery; anything else is reported where the user is waiting
+        if (this.client.destroyed) {
+            this.seedButton.disabled = true;
+            this.downloadButton.disabled = true;
+            this.showDownloadError(`Sharing stopped: ${err.message} Reload the page to start again.`);
+        } else if (this.seedButton.disabled) {
+            this.showSeedError(err.message);
+            this.seedButton.disabled = false;
+        } else {
+            this.showDownloadError(err.message);
+        }
     });
 
 	}
 
+  // Adds a magnet, infohash or saved .torrent Blob with pieces kept in IndexedDB, and lists it
+  addTorrent(torrentId, kind) {
+    const source = typeof torrentId === 'string' ? this.withoutPublicTrackers(torrentId) : torrentId;
+    const torrent = this.client.add(source, { announce: this.trackers(), store: IdbChunkStore });
+
+    // A magnet's infohash is only known once it has been parsed
+    if (torrent.infoHash) {
+      this.trackTorrent(torrent, kind);
+    } else {
+      torrent.once('infoHash', () => this.trackTorrent(torrent, kind));
+    }
+
+    if (kind === 'Downloading') {
+      torrent.on('ready', () => this.showPreviews(torrent));
+    }
+
+    torrent.on('error', (err) => {
+      console.error("Torrent error:", err);
+      this.downloadInfo.textContent = `Error: ${err.message}`;
+    });
+    return torrent;
+  }
+
+  // Adds a parsed magnet, infohash or .torrent file and keeps downloadInfo up to date
+  startDownload({ infoHash, name, torrentId }) {
+    if (infoHash && this.torrents.has(infoHash)) {
+      this.showDownloadError(`${this.torrents.get(infoHash).torrent.name || infoHash} is already in the list.`);
+      return;
+    }
+
+    this.renderDownloadInfo('Adding', name || infoHash);
+    const torrent = this.addTorrent(torrentId, 'Downloading');
+    torrent.on('ready', () => this.renderDownloadInfo('Downloading', torrent.name));
+  }
+
+  renderDownloadInfo(label, name) {
+    const line = document.createElement('p');
+    const strong = document.createElement('strong');
+    strong.textContent = `${label}:`;
+    line.append(strong, ' ', name || 'Fetching metadata...');
+    this.downloadInfo.replaceChildren(line);
+  }
+
+  showDownloadError(message) {
+    const line = document.createElement('p');
+    line.className = 'share-error';
+    line.textContent = message;
+    this.downloadInfo.replaceChildren(line);
+  }
+
+  showSeedError(message) {
+    const line = document.createElement('p');
+    line.className = 'share-error';
+    line.textContent = message;
+    this.seedingInfo.replaceChildren(line);
+  }
+
+  renderSeedingInfo(torrent) {
+    const seeding = document.createElement('p');
+    const label = document.createElement('strong');
+    label.textContent = 'Seeding:';
+    const count = torrent.files.length;
+    seeding.append(label, ` ${torrent.name} (${count} ${count === 1 ? 'file' : 'files'})`);
+
+    const magnet = document.createElement('p');
+    const magnetLabel = document.createElement('strong');
+    magnetLabel.textContent = 'Magnet URI:';
+    const magnetField = document.createElement('input');
+    magnetField.type = 'text';
+    magnetField.value = torrent.magnetURI;
+    magnetField.size = 60;
+    magnetField.readOnly = true;
+    magnetField.addEventListener('click', () => magnetField.select());
+    magnet.append(magnetLabel, ' ', magnetField);
+
+    const hint = document.createElement('p');
+    hint.textContent = 'Copy and share the Magnet URI above, or scan the code from another device.';
+    this.seedingInfo.replaceChildren(seeding, magnet, this.magnetQrCode(torrent.magnetURI), hint);
+  }
+
+  magnetQrCode(magnetURI) {
+    const figure = document.createElement('p');
+    figure.className = 'magnet-qr';
+    try {
+      const qr = qrcode(0, 'L'); // Smallest version that fits; magnets are long, so low error correction
+      qr.addData(magnetURI);
+      qr.make();
+      const img = document.createElement('img');
+      img.src = qr.createDataURL(4, 8);
+      img.alt = 'QR code of the magnet URI';
+      figure.appendChild(img);
+    } catch (error) {
+      console.warn('Could not make a QR code:', error);
+      figure.textContent = 'This magnet is too long for a QR code.';
+    }
+    return figure;
+  }
+
+  // Scans a magnet QR code with the camera, then starts downloading it
+  buildScanner() {
+    const scanButton = document.createElement('button');
+    scanButton.type = 'button';
+    scanButton.textContent = 'Scan QR code';
+    const scanView = document.createElement('div');
+    this.magnetInput.after(' ', scanButton, scanView);
+
+    const scanner = new QrScanner(scanView, {
+      onResult: (text) => {
+        let parsed;
+        try {
+          parsed = parseMagnet(text);
+        } catch (error) {
+          this.showDownloadError(`Scanned a QR code that isn't a magnet: ${error.message}`);
+          return false;
+        }
+        this.magnetInput.value = parsed.torrentId;
+        scanButton.textContent = 'Scan QR code';
+        this.startDownload(parsed);
+        return true;
+      },
+    });
+
+    scanButton.addEventListener('click', async () => {
+      if (scanner.scanning) {
+        scanner.stop();
+        scanButton.textContent = 'Scan QR code';
+        return;
+      }
+      try {
+        scanButton.textContent = 'Stop scanning';
+        await scanner.start();
+        this.renderDownloadInfo('Scanning', 'point the camera at a magnet QR code');
+      } catch (error) {
+        console.error('Error starting the camera:', error);
+        scanner.stop();
+        scanButton.textContent = 'Scan QR code';
+        this.showDownloadError(`Could not start the camera: ${error.message}`);
+      }
+    });
+  }
+
+  // A .torrent file can be picked next to the download button or dropped on the magnet field
+  buildTorrentFileInput() {
+    const torrentInput = document.createElement('input');
+    torrentInput.type = 'file';
+    torrentInput.accept = '.torrent,application/x-bittorrent';
+    torrentInput.style.display = 'none';
+    const openButton = document.createElement('button');
+    openButton.type = 'button';
+    openButton.textContent = 'Open .torrent';
+    openButton.addEventListener('click', () => torrentInput.click());
+    torrentInput.addEventListener('change', () => {
+      if (torrentInput.files[0]) this.openTorrentFile(torrentInput.files[0]);
+      torrentInput.value = '';
+    });
+    this.downloadButton.after(' ', openButton, torrentInput);
+
+    this.magnetInput.placeholder = this.magnetInput.placeholder || 'Magnet link, infohash or drop a .torrent file';
+    this.magnetInput.addEventListener('dragover', (event) => {
+      if (Array.from(event.dataTransfer.types).includes('Files')) event.preventDefault();
+    });
+    this.magnetInput.addEventListener('drop', (event) => {
+      const file = event.dataTransfer.files[0];
+      if (!file) return; // Dropped text goes into the field as usual
+      event.preventDefault();
+      this.openTorrentFile(file);
+    });
+  }
+
+  async openTorrentFile(file) {
+    try {
+      this.startDownload(await parseTorrentFile(file));
+    } catch (error) {
+      this.showDownloadError(error.message);
+    }
+  }
+
+  // WebTorrent 2.x plays files being downloaded through a service worker
+  async startStreamServer(serviceWorkerUrl) {
+    try {
+      await navigator.serviceWorker.register(serviceWorkerUrl, { scope: './' });
+      const registration = await navigator.serviceWorker.ready;
+      this.client.createServer({ controller: registration });
+      this.canServe = true;
+    } catch (error) {
+      console.warn('Media will play once downloaded, the stream server failed to start:', error);
+    }
+  }
+
+  /**
+   * One panel per file: media starts streaming straight away, everything else is
+   * previewed with a download link once the torrent is done.
+   */
+  showPreviews(torrent) {
+    const entry = this.torrents.get(torrent.infoHash);
+    if (!entry) return;
+
+    const panels = torrent.files.map((file) => {
+      const panel = document.createElement('div');
+      panel.className = 'file-preview';
+      const title = document.createElement('p');
+      const name = document.createElement('strong');
+      name.textContent = file.name;
+      title.append(name, ` (${this.formatBytes(file.length)})`);
+      const view = document.createElement('div');
+      const actions = document.createElement('p');
+      panel.append(title, view, actions);
+      this.downloadedContent.appendChild(panel);
+      entry.previews.push(panel);
+
+      const kind = previewKind(file.name);
+      if (kind === 'video' || kind === 'audio') {
+        const media = document.createElement(kind);
+        media.controls = true;
+        view.appendChild(media);
+        if (!streamMedia(file, media, this.canServe)) view.prepend('Plays when the download finishes. ');
+      } else if (kind) {
+        view.textContent = 'Preview when the download finishes.';
+      }
+      return { file, kind, view, actions };
+    });
+
+    const finish = () => panels.forEach((panel) => this.finishPreview(entry, panel));
+    if (torrent.done) finish();
+    else torrent.once('done', finish);
+  }
+
+  async finishPreview(entry, { file, kind, view, actions }) {
+    let blob;
+    try {
+      blob = await fileBlob(file);
+    } catch (err) {
+      console.error(err);
+      actions.textContent = `Could not read ${file.name}: ${err.message}`;
+      return;
+    }
+    if (!this.torrents.has(entry.torrent.infoHash)) return; // Removed while the file was being read
+
+    const url = URL.createObjectURL(blob);
+    entry.urls.push(url);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = file.name;
+    a.textContent = `Download ${file.name}`;
+    actions.appendChild(a);
+
+    if (kind === 'image') {
+      const save = document.createElement('button');
+      save.type = 'button';
+      save.textContent = 'Save to Deltos';
+      save.addEventListener('click', async () => {
+        save.disabled = true;
+        try {
+          await DroppableImageTarget.saveImage(blob, file.name);
+          save.textContent = 'Saved to Deltos';
+        } catch (error) {
+          console.error('Error saving to Deltos:', error);
+          save.textContent = `Could not save: ${error.message}`;
+          save.disabled = false;
+        }
+      });
+      actions.append(' ', save);
+    }
+
+    if (kind) {
+      renderPreview(view, kind, blob, url).catch((error) => {
+        console.error(`Error previewing ${file.name}:`, error);
+        view.textContent = 'No preview available.';
+      });
+    }
+  }
+
+  // Puts back every torrent that was still in the table when the page was last closed
+  async restoreTorrents() {
+    let records;
+    try {
+      records = await listTorrents();
+    } catch (error) {
+      console.error('Error loading saved torrents:', error);
+      return;
+    }
+
+    records.filter((record) => record.active).forEach((record) => this.resumeRecord(record));
+    this.renderHistory(records);
+  }
+
+  resumeRecord(record) {
+    const torrent = this.addTorrent(record.torrentFile || record.magnetURI, record.done ? 'Seeding' : 'Downloading');
+    if (!record.paused) return;
+    if (torrent.infoHash) {
+      this.togglePause(torrent.infoHash);
+    } else {
+      torrent.once('infoHash', () => this.togglePause(torrent.infoHash));
+    }
+  }
+
+  persist(entry, change = {}) {
+    saveTorrent(entry.torrent, { kind: entry.kind, paused: entry.paused, ...change })
+      .catch((error) => console.error('Error saving torrent:', error));
+  }
+
+  // Removed torrents keep their pieces, listed here to seed again or forget
+  buildHistory() {
+    this.history = document.createElement('details');
+    this.history.className = 'torrent-history';
+    this.history.hidden = true;
+    const summary = document.createElement('summary');
+    summary.textContent = 'Previously shared';
+    this.historyList = document.createElement('ul');
+    this.history.append(summary, this.historyList);
+    this.torrentTable.after(this.history);
+  }
+
+  async refreshHistory() {
+    try {
+      this.renderHistory(await listTorrents());
+    } catch (error) {
+      console.error('Error loading saved torrents:', error);
+    }
+  }
+
+  renderHistory(records) {
+    const inactive = records.filter((record) => !record.active);
+    this.history.hidden = inactive.length === 0;
+    this.historyList.replaceChildren();
+
+    inactive.forEach((record) => {
+      const item = document.createElement('li');
+      const seed = document.createElement('a');
+      seed.href = '#';
+      seed.textContent = record.done ? 'Seed again' : 'Resume';
+      seed.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await updateTorrent(record.infoHash, { active: true, paused: false });
+        this.resumeRecord({ ...record, paused: false });
+        this.refreshHistory();
+      });
+      const forget = document.createElement('a');
+      forget.href = '#';
+      forget.textContent = 'Forget';
+      forget.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await forgetTorrent(record.infoHash);
+        this.refreshHistory();
+      });
+      item.append(`${record.name} (${this.formatBytes(record.length)}) `, seed, ' ', forget);
+      this.historyList.appendChild(item);
+    });
+  }
+
+  // Takes a file list from either picker; folder files keep their paths inside the torrent
+  selectFiles(fileList) {
+    this.selectedFiles = Array.from(fileList);
+    this.selectedFiles.forEach((file) => {
+      if (file.webkitRelativePath && !file.fullPath) file.fullPath = file.webkitRelativePath;
+    });
+    this.seedButton.disabled = this.selectedFiles.length === 0;
+
+    if (this.selectedFiles.length === 0) {
+      this.seedingInfo.textContent = '';
+    } else if (this.selectedFiles.length === 1) {
+      this.seedingInfo.textContent = `Selected: ${this.selectedFiles[0].name}`;
+    } else {
+      const size = this.selectedFiles.reduce((total, file) => total + file.size, 0);
+      this.seedingInfo.textContent = `Selected: ${this.selectedFiles.length} files, ${this.formatBytes(size)}`;
+    }
+  }
+
+  // A second picker next to the file input for choosing a whole folder
+  buildFolderInput() {
+    const folderInput = document.createElement('input');
+    folderInput.type = 'file';
+    folderInput.webkitdirectory = true;
+    folderInput.style.display = 'none';
+    const folderButton = document.createElement('button');
+    folderButton.type = 'button';
+    folderButton.textContent = 'Choose folder';
+    folderButton.addEventListener('click', () => folderInput.click());
+    folderInput.addEventListener('change', () => {
+      this.fileInput.value = '';
+      this.selectFiles(folderInput.files);
+      folderInput.value = '';
+    });
+    this.fileInput.after(' ', folderButton, folderInput);
+  }
+
+  // Table of every torrent in the client, refreshed once a second while any exist
+  buildTorrentTable() {
+    this.torrentTable = document.createElement('table');
+    this.torrentTable.className = 'torrent-table';
+    this.torrentTable.hidden = true;
+    const head = this.torrentTable.createTHead().insertRow();
+    ['Name', 'Status', 'Progress', 'Peers', 'Down', 'Up', 'Ratio', ''].forEach((title) => {
+      const th = document.createElement('th');
+      th.textContent = title;
+      head.appendChild(th);
+    });
+    this.torrentBody = this.torrentTable.createTBody();
+    this.downloadedContent.after(this.torrentTable);
+  }
+
+  trackTorrent(torrent, kind) {
+    if (this.torrents.has(torrent.infoHash)) return;
+
+    const row = this.torrentBody.insertRow();
+    const cells = {};
+    ['name', 'status', 'progress', 'peers', 'down', 'up', 'ratio'].forEach((key) => (cells[key] = row.insertCell()));
+
+    const pauseLink = document.createElement('a');
+    pauseLink.href = '#';
+    pauseLink.textContent = 'Pause';
+    pauseLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.togglePause(torrent.infoHash);
+    });
+    const removeLink = document.createElement('a');
+    removeLink.href = '#';
+    removeLink.textContent = 'Remove';
+    removeLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.removeTorrent(torrent.infoHash);
+    });
+    row.insertCell().append(pauseLink, ' ', removeLink);
+
+    const entry = { torrent, kind, row, cells, pauseLink, paused: false, previews: [], urls: [] };
+    this.torrents.set(torrent.infoHash, entry);
+
+    // Paused torrents still accept incoming peers, so drop them as they arrive
+    torrent.on('wire', (wire) => {
+      if (entry.paused) wire.destroy();
+    });
+    torrent.on('metadata', () => this.persist(entry));
+    torrent.on('done', () => {
+      entry.kind = 'Seeding';
+      this.persist(entry, { done: true });
+    });
+    torrent.on('error', (err) => (entry.error = err.message));
+    this.persist(entry);
+
+    this.torrentTable.hidden = false;
+    this.renderTorrents();
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => this.renderTorrents(), 1000);
+    }
+  }
+
+  renderTorrents() {
+    this.torrents.forEach(({ torrent, kind, cells, paused, error }) => {
+      cells.name.textContent = torrent.name || torrent.infoHash;
+      cells.status.textContent = error ? `Error: ${error}` : paused ? 'Paused' : torrent.ready ? kind : 'Fetching metadata...';
+      cells.progress.textContent = `${(torrent.progress * 100).toFixed(1)}%`;
+      cells.peers.textContent = torrent.numPeers;
+      cells.down.textContent = `${this.formatBytes(torrent.downloadSpeed)}/s`;
+      cells.up.textContent = `${this.formatBytes(torrent.uploadSpeed)}/s`;
+      cells.ratio.textContent = torrent.ratio.toFixed(2);
+    });
+  }
+
+  // torrent.pause() only stops new outgoing connections, so open wires are closed too
+  togglePause(infoHash) {
+    const entry = this.torrents.get(infoHash);
+    if (!entry) return;
+
+    entry.paused = !entry.paused;
+    if (entry.paused) {
+      entry.torrent.pause();
+      entry.torrent.wires.slice().forEach((wire) => wire.destroy());
+    } else {
+      entry.torrent.resume();
+    }
+    entry.pauseLink.textContent = entry.paused ? 'Resume' : 'Pause';
+    this.persist(entry);
+    this.renderTorrents();
+  }
+
+  removeTorrent(infoHash) {
+    const entry = this.torrents.get(infoHash);
+    if (!entry) return;
+
+    this.torrents.delete(infoHash);
+    entry.row.remove();
+    entry.previews.forEach((panel) => panel.remove());
+    entry.urls.forEach((url) => URL.revokeObjectURL(url));
+    // Closes the chunk store without deleting it, so the pieces stay for "Previously shared"
+    entry.torrent.destroy((err) => {
+      if (err) console.error('Error removing torrent:', err);
+    });
+    updateTorrent(infoHash, { active: false })
+      .then(() => this.refreshHistory())
+      .catch((error) => console.error('Error saving torrent:', error));
+
+    if (this.torrents.size === 0) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+      this.torrentTable.hidden = true;
+    }
+  }
+
+  trackers() {
+    return activeTrackers(this.defaultTrackers);
+  }
+
+  // In local only mode a magnet's own trackers are dropped, so nothing is announced outside the network
+  withoutPublicTrackers(magnetURI) {
+    if (!loadTrackerSettings(this.defaultTrackers).localOnly) return magnetURI;
+    return withoutMagnetTrackers(magnetURI);
+  }
+
+  // Editor for the saved tracker list, placed above the file picker
+  buildTrackerEditor() {
+    const editor = document.createElement('details');
+    editor.className = 'tracker-editor';
+    const summary = document.createElement('summary');
+    editor.appendChild(summary);
+
+    const list = document.createElement('ul');
+    const addInput = document.createElement('input');
+    addInput.type = 'text';
+    addInput.placeholder = 'wss://tracker.example.com';
+    addInput.size = 40;
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.textContent = 'Add tracker';
+
+    const localOnly = document.createElement('input');
+    localOnly.type = 'checkbox';
+    const localLabel = document.createElement('label');
+    localLabel.append(localOnly, ' Local tracker only ');
+    const localInput = document.createElement('input');
+    localInput.type = 'text';
+    localInput.size = 30;
+
+    const error = document.createElement('p');
+    error.className = 'tracker-error';
+
+    const addRow = document.createElement('p');
+    addRow.append(addInput, ' ', addButton);
+    const localRow = document.createElement('p');
+    localRow.append(localLabel, localInput);
+    editor.append(list, addRow, localRow, error);
+    this.fileInput.before(editor);
+
+    let settings = loadTrackerSettings(this.defaultTrackers);
+
+    const save = (next) => {
+      try {
+        settings = saveTrackerSettings(next);
+        error.textContent = '';
+      } catch (err) {
+        error.textContent = err.message;
+      }
+      render();
+    };
+
+    const render = () => {
+      summary.textContent = settings.localOnly
+        ? `Trackers: local only (${settings.localTracker})`
+        : `Trackers (${settings.trackers.length})`;
+      list.replaceChildren();
+      settings.trackers.forEach((url) => {
+        const item = document.createElement('li');
+        const remove = document.createElement('a');
+        remove.href = '#';
+        remove.textContent = 'remove';
+        remove.addEventListener('click', (e) => {
+          e.preventDefault();
+          save({ ...settings, trackers: settings.trackers.filter((tracker) => tracker !== url) });
+        });
+        item.append(url, ' ', remove);
+        list.appendChild(item);
+      });
+      localOnly.checked = settings.localOnly;
+      localInput.value = settings.localTracker;
+    };
+
+    addButton.addEventListener('click', () => {
+      let url;
+      try {
+        url = validateTrackerUrl(addInput.value);
+      } catch (err) {
+        error.textContent = err.message;
+        return;
+      }
+      if (!settings.trackers.includes(url)) {
+        save({ ...settings, trackers: [...settings.trackers, url] });
+      }
+      addInput.value = '';
+    });
+    addInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addButton.click();
+    });
+    localOnly.addEventListener('change', () => save({ ...settings, localOnly: localOnly.checked }));
+    localInput.addEventListener('change', () => save({ ...settings, localTracker: localInput.value }));
+
+    render();
+  }
+
   // Helper function to format bytes
   formatBytes(bytes, decimals = 2) {
     if (bytes === 0) return '0 Bytes';
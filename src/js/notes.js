@@ -1,31 +1,31 @@
+import { openDatabase } from './databases.js';
+import { recordChange } from './change-log.js';
+import { createUid, extractTags } from './record-fields.js';
+
 class Notes {
   constructor() {
     this.textarea = document.getElementById('noteTextarea');
     this.dbName = 'kalvNotesDB';
     this.storeName = 'savedText';
-    this.request = indexedDB.open(this.dbName, 1);
+    this.previousNotes = document.getElementById('previousNotes');
+    this.searchQuery = '';
+    this.chronological = false; // Shuffled by default, toggle for newest first
+    this.showingTrash = false;
+    this.undoWindowMs = 10000; // How long the undo link stays up after trashing
+    this.trashRetentionMs = 30 * 24 * 60 * 60 * 1000; // Trashed notes are purged after 30 days
+    this.undoTimeoutId = null;
 		this.db = null;
 
-    this.request.onerror = function(event) {
-      console.log(`Error opening database: ${event.target.errorCode}`);
-    };
-
-    this.request.onsuccess = function(event) {
-      this.db = event.target.result;
-      console.log('Database connected successfully.');
-      this.loadSavedText(); // Load any previously saved text
-    }.bind(this);
-
-//FIX: THis is not working
-		this.request.onupgradeneeded = function(event) {
-			console.log("this is being fired");
-		  this.db = event.target.result;
-		  // Create an object store if it doesn't exist
-		  if (!this.db.objectStoreNames.contains(this.storeName)) {
-		    this.db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
-		    console.log('Object store created.');
-		  }
-		}.bind(this);
+    openDatabase(this.dbName)
+      .then((db) => {
+        this.db = db;
+        console.log('Database connected successfully.');
+        this.purgeTrash();
+        this.loadSavedText(); // Load any previously saved text
+      })
+      .catch((error) => {
+        console.log(`Error opening database: ${error.message}`);
+      });
 
     this.textarea.addEventListener('keydown', function(event) {
       if (event.key === 'Enter' && !event.shiftKey) { // Check if Enter key was pressed without Shift
@@ -46,13 +46,296 @@ class Notes {
       this.clearDb();
       return false;
     }.bind(this));
+
+    this.setupSearch();
+
+    // Notes written by DeltosSync arrive straight in the database
+    window.addEventListener('deltos:synced', () => this.loadSavedText());
   }// end-constructor
 
+  setupSearch() {
+    if (!this.previousNotes) return;
+
+    const controls = document.createElement('div');
+    controls.className = 'note-search';
+
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'search';
+    this.searchInput.placeholder = 'Search notes or #tags';
+    this.searchInput.addEventListener('input', () => {
+      this.searchQuery = this.searchInput.value.trim();
+      this.loadSavedText();
+    });
+
+    this.orderToggle = document.createElement('a');
+    this.orderToggle.href = '#';
+    this.orderToggle.textContent = 'Chronological';
+    this.orderToggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.chronological = !this.chronological;
+      this.orderToggle.textContent = this.chronological ? 'Shuffle' : 'Chronological';
+      this.loadSavedText();
+    });
+
+    this.trashToggle = document.createElement('a');
+    this.trashToggle.href = '#';
+    this.trashToggle.textContent = 'Trash';
+    this.trashToggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.showingTrash = !this.showingTrash;
+      this.trashToggle.textContent = this.showingTrash ? 'Notes' : 'Trash';
+      this.loadSavedText();
+    });
+
+    controls.append(this.searchInput, ' ', this.orderToggle, ' ', this.trashToggle);
+    this.previousNotes.before(controls);
+
+    this.undoBar = document.createElement('div');
+    this.undoBar.className = 'note-undo';
+    this.undoBar.style.display = 'none';
+    this.previousNotes.before(this.undoBar);
+  }
+
+  /**
+   * Every search term has to match: "#tag" terms against the note's tags,
+   * anything else as a case-insensitive substring of the text.
+   */
+  matchesQuery(note, terms) {
+    const tags = note.tags || extractTags(note.text);
+    const text = note.text.toLowerCase();
+    return terms.every(term => term.startsWith('#') ? tags.includes(term.slice(1)) : text.includes(term));
+  }
+
+  /**
+   * Moves every live note to the trash rather than wiping the store,
+   * so a mis-click can still be undone.
+   */
   clearDb() {
+    if (!this.db) return;
+    if (!confirm('Move all notes to the trash?')) return;
+
+    const transaction = this.db.transaction([this.storeName], 'readonly');
+    const objectStore = transaction.objectStore(this.storeName);
+    const getAllRequest = objectStore.getAll();
+
+    getAllRequest.onsuccess = (event) => {
+      const ids = event.target.result.filter(item => !item.deletedAt).map(item => item.id);
+      this.trashNotes(ids);
+    };
+
+    getAllRequest.onerror = function(event) {
+      console.log(`Error loading notes to clear: ${event.target.errorCode}`);
+    };
+  }
+
+  /**
+   * Reads notes, applies changes to them and writes them back, all in one transaction
+   * so a bulk change either happens to every note or to none.
+   * @param {number[]} ids - The note ids.
+   * @param {function(Object): Object} change - Returns the updated note.
+   * @returns {Promise<void>}
+   */
+  updateNotes(ids, change) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const objectStore = transaction.objectStore(this.storeName);
+      const updatedAt = Date.now();
+      const updated = [];
+
+      ids.forEach(id => {
+        objectStore.get(id).onsuccess = (event) => {
+          const note = event.target.result;
+          if (!note) return;
+          const changed = { ...change(note), updatedAt: updatedAt };
+          objectStore.put(changed);
+          updated.push(changed);
+        };
+      });
+
+      transaction.oncomplete = () => {
+        updated.forEach(note => recordChange(this.dbName, this.storeName, note.uid, { updatedAt: updatedAt }));
+        resolve();
+      };
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  updateNote(id, change) {
+    return this.updateNotes([id], change);
+  }
+
+  editNote(id, text) {
+    return this.updateNote(id, note => ({ ...note, text: text, tags: extractTags(text), editedAt: Date.now() }))
+      .then(() => this.loadSavedText())
+      .catch(error => console.log(`Error editing note: ${error}`));
+  }
+
+  deleteNote(id) {
+    this.trashNotes([id]);
+  }
+
+  /**
+   * Soft deletes notes by stamping them with deletedAt and offers an undo.
+   * @param {number[]} ids
+   */
+  trashNotes(ids) {
+    if (ids.length === 0) return;
+    const deletedAt = Date.now();
+
+    this.updateNotes(ids, note => ({ ...note, deletedAt: deletedAt }))
+      .then(() => {
+        this.loadSavedText();
+        this.showUndo(ids);
+      })
+      .catch(error => console.log(`Error trashing notes: ${error}`));
+  }
+
+  restoreNotes(ids) {
+    this.updateNotes(ids, note => {
+      const { deletedAt, ...restored } = note;
+      return restored;
+    })
+      .then(() => this.loadSavedText())
+      .catch(error => console.log(`Error restoring notes: ${error}`));
+  }
+
+  /**
+   * Deletes trashed notes for good, leaving tombstones for sync.
+   * @param {number[]} ids
+   */
+  destroyNotes(ids) {
+    if (!confirm(`Delete ${ids.length === 1 ? 'this note' : `${ids.length} notes`} for good?`)) return;
+
     const transaction = this.db.transaction([this.storeName], 'readwrite');
     const objectStore = transaction.objectStore(this.storeName);
-    objectStore.clear();
-    this.loadSavedText();
+    const deleted = [];
+    ids.forEach(id => {
+      objectStore.get(id).onsuccess = (event) => {
+        const note = event.target.result;
+        if (!note) return;
+        objectStore.delete(id);
+        deleted.push(note.uid);
+      };
+    });
+
+    transaction.oncomplete = () => {
+      deleted.forEach(uid => recordChange(this.dbName, this.storeName, uid, { deleted: true }));
+      this.loadSavedText();
+    };
+    transaction.onerror = (event) => console.log(`Error deleting notes: ${event.target.error}`);
+  }
+
+  showUndo(ids) {
+    if (!this.undoBar) return;
+    clearTimeout(this.undoTimeoutId);
+
+    const undoLink = document.createElement('a');
+    undoLink.href = '#';
+    undoLink.textContent = 'Undo';
+    undoLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      clearTimeout(this.undoTimeoutId);
+      this.undoBar.style.display = 'none';
+      this.restoreNotes(ids);
+    });
+
+    this.undoBar.textContent = `${ids.length} ${ids.length === 1 ? 'note' : 'notes'} moved to trash. `;
+    this.undoBar.append(undoLink);
+    this.undoBar.style.display = 'block';
+
+    this.undoTimeoutId = setTimeout(() => {
+      this.undoBar.style.display = 'none';
+    }, this.undoWindowMs);
+  }
+
+  // Permanently removes notes that have sat in the trash past the retention period
+  purgeTrash() {
+    const cutoff = Date.now() - this.trashRetentionMs;
+    const transaction = this.db.transaction([this.storeName], 'readwrite');
+    const objectStore = transaction.objectStore(this.storeName);
+
+    objectStore.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.deletedAt && cursor.value.deletedAt < cutoff) {
+        cursor.delete();
+        recordChange(this.dbName, this.storeName, cursor.value.uid, { deleted: true });
+      }
+      cursor.continue();
+    };
+  }
+
+  renderNote(item) {
+    const div = document.createElement('div');
+    const text = document.createElement('span');
+    text.textContent = item.text + " :: " + new Date(item.timestamp);
+    const actions = document.createElement('span');
+    actions.className = 'note-actions';
+
+    if (item.deletedAt) {
+      const restoreLink = document.createElement('a');
+      restoreLink.href = '#';
+      restoreLink.textContent = 'restore';
+      restoreLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.restoreNotes([item.id]);
+      });
+
+      const destroyLink = document.createElement('a');
+      destroyLink.href = '#';
+      destroyLink.textContent = 'delete forever';
+      destroyLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.destroyNotes([item.id]);
+      });
+
+      actions.append(`trashed ${new Date(item.deletedAt).toLocaleString()} `, restoreLink, ' ', destroyLink);
+      div.append(text, ' ', actions);
+      return div;
+    }
+
+    const editLink = document.createElement('a');
+    editLink.href = '#';
+    editLink.textContent = 'edit';
+    editLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.startEditing(div, item);
+    });
+
+    const deleteLink = document.createElement('a');
+    deleteLink.href = '#';
+    deleteLink.textContent = 'delete';
+    deleteLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.deleteNote(item.id);
+    });
+
+    actions.append(editLink, ' ', deleteLink);
+    div.append(text, ' ', actions);
+    return div;
+  }
+
+  // Swaps a rendered note for a textarea: Enter saves, Escape cancels
+  startEditing(div, item) {
+    const editor = document.createElement('textarea');
+    editor.value = item.text;
+
+    editor.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        const text = editor.value.trim();
+        if (text && text !== item.text) {
+          this.editNote(item.id, text);
+        } else {
+          this.loadSavedText();
+        }
+      } else if (event.key === 'Escape') {
+        this.loadSavedText();
+      }
+    });
+
+    div.replaceChildren(editor);
+    editor.focus();
   }
 
   saveTextToDB(text) {
@@ -63,10 +346,13 @@ class Notes {
 
     const transaction = this.db.transaction([this.storeName], 'readwrite');
     const objectStore = transaction.objectStore(this.storeName);
-    const addRequest = objectStore.add({ text: text, timestamp: Date.now() });
+    const now = Date.now();
+    const note = { uid: createUid(), text: text, tags: extractTags(text), timestamp: now, updatedAt: now };
+    const addRequest = objectStore.add(note);
 
     addRequest.onsuccess = function(event) {
       console.log('Text saved to IndexedDB.');
+      recordChange(this.dbName, this.storeName, note.uid, { updatedAt: now });
 			this.loadSavedText();
     }.bind(this);
 
@@ -88,23 +374,29 @@ class Notes {
 
 	loadSavedText() {
 	  if (!this.db) return;
-		const previousNotes = document.getElementById('previousNotes');
+		const previousNotes = this.previousNotes;
+	  const terms = this.searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
 
 	  const transaction = this.db.transaction([this.storeName], 'readonly');
 	  const objectStore = transaction.objectStore(this.storeName);
-	  const getAllRequest = objectStore.getAll(); // Get all stored items
+	  // A lone #tag can be answered straight from the tags index
+	  const tagOnly = terms.length === 1 && terms[0].startsWith('#');
+	  const getAllRequest = tagOnly
+	    ? objectStore.index('tags').getAll(terms[0].slice(1))
+	    : objectStore.index('timestamp').getAll();
 	
     getAllRequest.onsuccess = (event) => {
-	    const results = event.target.result;
+	    const results = event.target.result.filter(item => Boolean(item.deletedAt) === this.showingTrash && this.matchesQuery(item, terms));
 	    if (results && results.length > 0) {
 
-        const shuffledNotes = [...results].sort(() => Math.random() - 0.5);
+        // The trash lists the most recently trashed first
+        const orderedNotes = this.showingTrash
+          ? [...results].sort((a, b) => b.deletedAt - a.deletedAt)
+          : this.chronological
+            ? [...results].sort((a, b) => b.timestamp - a.timestamp)
+            : this.shuffleArray([...results]);
 
-				const notes = shuffledNotes.map(item => {
-					const div = document.createElement('div');
-          div.textContent = item.text + " :: " + new Date(item.timestamp);
-					return div;
-				});
+				const notes = orderedNotes.map(item => this.renderNote(item));
 
 				previousNotes.innerHTML = ""
 				previousNotes.append(...notes);
@@ -0,0 +1,38 @@
+/**
+ * Field helpers shared by the stores and their migrations in databases.js, kept apart
+ * from the modules that open those databases.
+ */
+
+/**
+ * A unique id for a record that has to keep its identity across devices.
+ * @returns {string}
+ */
+function createUid() {
+  return crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Pulls inline #tags out of a note, lowercased and de-duplicated.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractTags(text) {
+  const tags = (text.match(/#[\p{L}\p{N}_-]+/gu) || []).map((tag) => tag.slice(1).toLowerCase());
+  return [...new Set(tags)];
+}
+
+/**
+ * A record with its timestamp as milliseconds since epoch. Images and videos used to
+ * store Date objects, which disks and sync messages carry as ISO strings; IndexedDB
+ * orders numbers, Dates and strings as separate key types, so a timestamp index holding
+ * a mix of them no longer sorts by time.
+ * @param {Object} record
+ * @returns {Object} The same record, or a copy with its timestamp converted.
+ */
+function withNumericTimestamp(record) {
+  if (!record || record.timestamp === undefined || typeof record.timestamp === 'number') return record;
+  const time = new Date(record.timestamp).getTime();
+  return Number.isNaN(time) ? record : { ...record, timestamp: time };
+}
+
+export { createUid, extractTags, withNumericTimestamp };
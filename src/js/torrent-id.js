@@ -0,0 +1,157 @@
+/**
+ * Checks what the user gave JustShare to download before it reaches WebTorrent,
+ * which otherwise fails late and with little to go on. Accepts a magnet link,
+ * a bare infohash (40 hex or 32 base32 characters) or a .torrent file.
+ */
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const MAX_TORRENT_FILE = 10 * 1024 * 1024;
+
+function base32ToHex(text) {
+  let bits = '';
+  for (const char of text.toUpperCase()) {
+    bits += BASE32.indexOf(char).toString(2).padStart(5, '0');
+  }
+  let hex = '';
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * @param {string} hash - A v1 infohash in hex or base32.
+ * @returns {string|null} The lowercase hex infohash, or null if it isn't one.
+ */
+function normaliseInfoHash(hash) {
+  if (/^[0-9a-f]{40}$/i.test(hash)) return hash.toLowerCase();
+  if (/^[a-z2-7]{32}$/i.test(hash)) return base32ToHex(hash);
+  return null;
+}
+
+/**
+ * @param {string} input - A magnet link or infohash.
+ * @returns {{infoHash: string, name: string|null, torrentId: string}}
+ */
+function parseMagnet(input) {
+  const text = input.trim();
+  if (!text) {
+    throw new Error('Enter a magnet link or infohash, or drop a .torrent file.');
+  }
+
+  const bare = normaliseInfoHash(text);
+  if (bare) {
+    return { infoHash: bare, name: null, torrentId: bare };
+  }
+
+  if (!/^magnet:\?/i.test(text)) {
+    throw new Error('That is not a magnet link or infohash. Magnet links start with "magnet:?" and an infohash is 40 hex characters.');
+  }
+
+  const params = new URLSearchParams(text.slice('magnet:?'.length));
+  const topics = params.getAll('xt');
+  const btih = topics.find((topic) => /^urn:btih:/i.test(topic));
+  if (!btih) {
+    throw new Error(topics.length === 0
+      ? 'The magnet link has no "xt" parameter, so there is nothing to download.'
+      : 'The magnet link is not for a BitTorrent file (no "urn:btih:" topic).');
+  }
+
+  const infoHash = normaliseInfoHash(btih.slice('urn:btih:'.length));
+  if (!infoHash) {
+    throw new Error('The magnet link\'s infohash is malformed; it should be 40 hex or 32 base32 characters.');
+  }
+
+  return { infoHash: infoHash, name: params.get('dn'), torrentId: text };
+}
+
+/**
+ * Decodes the bencoded value at offset. Byte strings stay Uint8Arrays, since most of a
+ * torrent's (piece hashes) aren't text; dictionary keys are decoded as UTF-8.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {function(string, number, number): void} [onEntry] - Called with the key, start and
+ *   end offsets of each entry when the value is a dictionary.
+ * @returns {{value: *, end: number}} The value and the offset just past it.
+ */
+function decodeBencode(bytes, offset, onEntry = () => {}) {
+  const byte = bytes[offset];
+  const char = String.fromCharCode(byte);
+
+  if (char === 'i') {
+    const end = bytes.indexOf(0x65, offset); // 'e'
+    const digits = new TextDecoder().decode(bytes.subarray(offset + 1, end));
+    if (end === -1 || !/^(0|-?[1-9]\d*)$/.test(digits)) throw new Error(`Bad integer at byte ${offset}.`);
+    return { value: Number(digits), end: end + 1 };
+  }
+
+  if (char === 'l' || char === 'd') {
+    const value = char === 'l' ? [] : {};
+    let position = offset + 1;
+    while (bytes[position] !== 0x65) {
+      if (position >= bytes.length) throw new Error(`Unterminated ${char === 'l' ? 'list' : 'dictionary'} at byte ${offset}.`);
+      if (char === 'l') {
+        const item = decodeBencode(bytes, position);
+        value.push(item.value);
+        position = item.end;
+      } else {
+        const key = decodeBencode(bytes, position);
+        if (!(key.value instanceof Uint8Array)) throw new Error(`Dictionary key at byte ${position} is not a string.`);
+        const name = new TextDecoder().decode(key.value);
+        const item = decodeBencode(bytes, key.end);
+        value[name] = item.value;
+        onEntry(name, key.end, item.end);
+        position = item.end;
+      }
+    }
+    return { value: value, end: position + 1 };
+  }
+
+  if (byte >= 0x30 && byte <= 0x39) {
+    const colon = bytes.indexOf(0x3a, offset); // ':'
+    const digits = new TextDecoder().decode(bytes.subarray(offset, colon));
+    const start = colon + 1;
+    const end = start + Number(digits);
+    if (colon === -1 || !/^\d+$/.test(digits) || end > bytes.length) throw new Error(`Bad string at byte ${offset}.`);
+    return { value: bytes.subarray(start, end), end: end };
+  }
+
+  throw new Error(`Unexpected ${byte === undefined ? 'end of data' : `byte ${byte}`} at ${offset}.`);
+}
+
+/**
+ * Reads a .torrent file's metadata; its infohash is the SHA-1 of the bencoded info dictionary.
+ * @param {File} file - A dropped or picked file.
+ * @returns {Promise<{infoHash: string, name: string, torrentId: File}>}
+ */
+async function parseTorrentFile(file) {
+  if (!/\.torrent$/i.test(file.name) && file.type !== 'application/x-bittorrent') {
+    throw new Error(`${file.name} is not a .torrent file.`);
+  }
+  if (file.size === 0 || file.size > MAX_TORRENT_FILE) {
+    throw new Error(`${file.name} is ${file.size === 0 ? 'empty' : 'too large to be a .torrent file'}.`);
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let torrent;
+  let info = null; // Where the info dictionary sits in the file
+  try {
+    torrent = decodeBencode(bytes, 0, (key, start, end) => {
+      if (key === 'info') info = { start: start, end: end };
+    });
+  } catch (error) {
+    throw new Error(`${file.name} is damaged or not a torrent file: ${error.message}`);
+  }
+
+  const fields = torrent.value.info;
+  if (torrent.end !== bytes.length || !info || !fields || Array.isArray(fields) || typeof fields !== 'object'
+    || !(fields.name instanceof Uint8Array) || !(fields.pieces instanceof Uint8Array)) {
+    throw new Error(`${file.name} is damaged or not a torrent file.`);
+  }
+
+  const digest = await crypto.subtle.digest('SHA-1', bytes.subarray(info.start, info.end));
+  const infoHash = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return { infoHash: infoHash, name: new TextDecoder().decode(fields.name), torrentId: file };
+}
+
+export { parseMagnet, parseTorrentFile };
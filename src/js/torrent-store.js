@@ -0,0 +1,153 @@
+import { openDatabase } from './databases.js';
+
+/**
+ * Keeps JustShare torrents across page loads.
+ * justShare.torrents holds one record per torrent:
+ *   { infoHash, name, magnetURI, torrentFile (Blob, once metadata is known), kind,
+ *     length, done, paused, active, added, updated }
+ * and justShare.pieces holds the piece data, keyed [infoHash, index], written through
+ * IdbChunkStore. Inactive torrents have been removed from the client but keep their
+ * pieces so they can be seeded again.
+ */
+
+let connection = null;
+
+function torrentsDb() {
+  if (!connection) {
+    connection = openDatabase('justShare', { onClose: () => (connection = null) }).catch((error) => {
+      connection = null;
+      throw error;
+    });
+  }
+  return connection;
+}
+
+async function storeRequest(storeName, mode, makeRequest) {
+  const db = await torrentsDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Every piece of one torrent, whatever its index
+function piecesOf(infoHash) {
+  return IDBKeyRange.bound([infoHash, 0], [infoHash, Infinity]);
+}
+
+/**
+ * abstract-chunk-store backed by justShare.pieces, passed to WebTorrent as the `store` option.
+ * On load WebTorrent verifies every stored piece, so partial downloads carry on from
+ * what is already here and finished ones go straight back to seeding.
+ */
+class IdbChunkStore {
+  /**
+   * @param {number} chunkLength - The torrent's piece length.
+   * @param {Object} opts - Passed by WebTorrent; opts.torrent.infoHash names the pieces.
+   */
+  constructor(chunkLength, opts = {}) {
+    this.chunkLength = Number(chunkLength);
+    this.infoHash = opts.torrent && opts.torrent.infoHash;
+    if (!this.infoHash) {
+      throw new Error('IdbChunkStore needs the torrent infoHash');
+    }
+    this.closed = false;
+  }
+
+  put(index, buf, cb = () => {}) {
+    if (this.closed) return queueMicrotask(() => cb(new Error('Storage is closed')));
+    const data = new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength).slice();
+    storeRequest('pieces', 'readwrite', (store) => store.put({ infoHash: this.infoHash, index: index, data: data }))
+      .then(() => cb(null), cb);
+  }
+
+  get(index, opts, cb) {
+    if (typeof opts === 'function') return this.get(index, null, opts);
+    if (this.closed) return queueMicrotask(() => cb(new Error('Storage is closed')));
+
+    storeRequest('pieces', 'readonly', (store) => store.get([this.infoHash, index])).then((piece) => {
+      if (!piece) return cb(new Error('Chunk not found'));
+      if (!opts) return cb(null, piece.data);
+      const offset = opts.offset || 0;
+      const length = opts.length || piece.data.length - offset;
+      cb(null, piece.data.subarray(offset, offset + length));
+    }, cb);
+  }
+
+  close(cb = () => {}) {
+    this.closed = true;
+    queueMicrotask(() => cb(null));
+  }
+
+  destroy(cb = () => {}) {
+    this.closed = true;
+    storeRequest('pieces', 'readwrite', (store) => store.delete(piecesOf(this.infoHash))).then(() => cb(null), cb);
+  }
+}
+
+/**
+ * Saves or refreshes a torrent's record.
+ * @param {Object} torrent - A WebTorrent torrent with a known infoHash.
+ * @param {Object} [change] - Fields to set on the record, e.g. { kind, paused, active }.
+ * @returns {Promise<Object>} The saved record.
+ */
+async function saveTorrent(torrent, change = {}) {
+  const existing = await storeRequest('torrents', 'readonly', (store) => store.get(torrent.infoHash));
+  const record = {
+    active: true,
+    paused: false,
+    added: new Date(),
+    ...existing,
+    infoHash: torrent.infoHash,
+    name: torrent.name || (existing && existing.name) || torrent.infoHash,
+    magnetURI: torrent.magnetURI || (existing && existing.magnetURI),
+    length: torrent.length || (existing && existing.length) || 0,
+    done: torrent.done || (existing && existing.done) || false,
+    ...change,
+    updated: new Date(),
+  };
+  if (torrent.torrentFile) {
+    record.torrentFile = new Blob([torrent.torrentFile], { type: 'application/x-bittorrent' });
+  }
+
+  await storeRequest('torrents', 'readwrite', (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Sets fields on a saved torrent's record, if there is one.
+ * @param {string} infoHash
+ * @param {Object} change
+ */
+async function updateTorrent(infoHash, change) {
+  const existing = await storeRequest('torrents', 'readonly', (store) => store.get(infoHash));
+  if (!existing) return;
+  await storeRequest('torrents', 'readwrite', (store) => store.put({ ...existing, ...change, updated: new Date() }));
+}
+
+/**
+ * @returns {Promise<Object[]>} Every saved torrent, most recently used first.
+ */
+async function listTorrents() {
+  const records = await storeRequest('torrents', 'readonly', (store) => store.getAll());
+  return records.sort((a, b) => b.updated - a.updated);
+}
+
+/**
+ * Deletes a torrent's record and all of its pieces.
+ * @param {string} infoHash
+ */
+async function forgetTorrent(infoHash) {
+  const db = await torrentsDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['torrents', 'pieces'], 'readwrite');
+    transaction.objectStore('torrents').delete(infoHash);
+    transaction.objectStore('pieces').delete(piecesOf(infoHash));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+export { IdbChunkStore, saveTorrent, updateTorrent, listTorrents, forgetTorrent };
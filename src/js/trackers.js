@@ -0,0 +1,107 @@
+/**
+ * Tracker list shared by JustShare and Deltos sync.
+ * Comes from, in order: ?tracker= URL parameters, the list saved in localStorage
+ * under kalvTrackers, then the defaults passed in by the page. With localOnly set,
+ * only the local tracker is announced to, so a private network can share with no
+ * public internet (run one with `npx bittorrent-tracker --ws --port 8000`).
+ */
+
+const STORAGE_KEY = 'kalvTrackers';
+
+// updated from https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_all_ws.txt
+const DEFAULT_TRACKERS = ['wss://tracker.webtorrent.dev', 'wss://tracker.btorrent.xyz'];
+const DEFAULT_LOCAL_TRACKER = 'ws://localhost:8000';
+
+/**
+ * Checks that a tracker is a WebSocket URL, the only kind browsers can announce to.
+ * @param {string} url
+ * @returns {string} The normalised URL.
+ */
+function validateTrackerUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (e) {
+    throw new Error(`"${url}" is not a URL.`);
+  }
+  if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') {
+    throw new Error(`"${url}" must start with ws:// or wss://.`);
+  }
+  if (!parsed.hostname) {
+    throw new Error(`"${url}" has no host.`);
+  }
+  return parsed.href.replace(/\/$/, '');
+}
+
+function validTrackers(urls) {
+  const valid = [];
+  for (const url of urls) {
+    try {
+      const tracker = validateTrackerUrl(url);
+      if (!valid.includes(tracker)) valid.push(tracker);
+    } catch (error) {
+      console.warn(`Ignoring tracker: ${error.message}`);
+    }
+  }
+  return valid;
+}
+
+/**
+ * @param {string[]} [defaults=DEFAULT_TRACKERS] - Used when nothing is saved.
+ * @returns {{trackers: string[], localOnly: boolean, localTracker: string}} The saved settings.
+ */
+function loadTrackerSettings(defaults = DEFAULT_TRACKERS) {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    console.warn('Ignoring unreadable tracker settings');
+  }
+
+  return {
+    trackers: Array.isArray(saved.trackers) ? validTrackers(saved.trackers) : validTrackers(defaults),
+    localOnly: saved.localOnly === true,
+    localTracker: validTrackers([saved.localTracker || DEFAULT_LOCAL_TRACKER])[0] || DEFAULT_LOCAL_TRACKER,
+  };
+}
+
+/**
+ * Validates and saves tracker settings.
+ * @param {{trackers: string[], localOnly: boolean, localTracker: string}} settings
+ */
+function saveTrackerSettings(settings) {
+  const clean = {
+    trackers: settings.trackers.map(validateTrackerUrl),
+    localOnly: settings.localOnly,
+    localTracker: validateTrackerUrl(settings.localTracker),
+  };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(clean));
+  return clean;
+}
+
+/**
+ * The trackers to announce to right now.
+ * @param {string[]} [defaults=DEFAULT_TRACKERS]
+ * @returns {string[]}
+ */
+function activeTrackers(defaults = DEFAULT_TRACKERS) {
+  const params = validTrackers(new URLSearchParams(window.location.search).getAll('tracker'));
+  if (params.length > 0) return params;
+
+  const settings = loadTrackerSettings(defaults);
+  return settings.localOnly ? [settings.localTracker] : settings.trackers;
+}
+
+/**
+ * Drops the tr= pairs from a magnet link. The other pairs are kept byte for byte,
+ * since re-encoding them (xt=urn%3Abtih%3A…) makes the magnet unreadable to WebTorrent.
+ * @param {string} magnetURI
+ * @returns {string}
+ */
+function withoutMagnetTrackers(magnetURI) {
+  if (!magnetURI.startsWith('magnet:?')) return magnetURI;
+  const pairs = magnetURI.slice('magnet:?'.length).split('&');
+  return `magnet:?${pairs.filter((pair) => !pair.startsWith('tr=')).join('&')}`;
+}
+
+export { DEFAULT_TRACKERS, validateTrackerUrl, loadTrackerSettings, saveTrackerSettings, activeTrackers, withoutMagnetTrackers };
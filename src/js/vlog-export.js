@@ -0,0 +1,156 @@
+/**
+ * Export presets for the vlog recorder: turns the chosen settings into an ffmpeg command.
+ * The defaults reproduce the recorder's original export (mirrored 480p H.264 at 2000k
+ * with 128k AAC).
+ */
+
+const FORMATS = {
+  mp4: { label: 'MP4 (H.264)', extension: 'mp4', mimeType: 'video/mp4' },
+  webm: { label: 'WebM (VP9)', extension: 'webm', mimeType: 'video/webm' },
+  m4a: { label: 'Audio only (M4A)', extension: 'm4a', mimeType: 'audio/mp4', audioOnly: true },
+  gif: { label: 'Animated GIF clip', extension: 'gif', mimeType: 'image/gif', clip: true },
+  webp: { label: 'Animated WebP clip', extension: 'webp', mimeType: 'image/webp', clip: true },
+};
+
+const HEIGHTS = [480, 720, 1080];
+
+const DEFAULT_EXPORT = {
+  format: 'mp4',
+  height: 480,
+  mirror: true,
+  rateControl: 'bitrate', // 'bitrate' or 'crf'
+  bitrate: 2000, // kbit/s
+  crf: 23, // Lower is better; H.264 uses 0-51, VP9 0-63
+  clipSeconds: 10, // GIF and WebP only take the start of the recording
+  clipFps: 12,
+  clipMaxHeight: 480, // Animated images get huge quickly, whatever the height setting
+};
+
+/**
+ * @param {Object} settings - Any of the DEFAULT_EXPORT fields.
+ * @returns {Object} A complete, valid settings object.
+ */
+function normaliseExport(settings = {}) {
+  const merged = { ...DEFAULT_EXPORT, ...settings };
+  if (!FORMATS[merged.format]) merged.format = DEFAULT_EXPORT.format;
+  if (!HEIGHTS.includes(merged.height)) merged.height = DEFAULT_EXPORT.height;
+  if (merged.rateControl !== 'crf') merged.rateControl = 'bitrate';
+  return merged;
+}
+
+// Video filters shared by every video format: mirror, then scale to an even width
+function videoFilters(settings, height) {
+  const filters = [];
+  if (settings.mirror) filters.push('hflip');
+  filters.push(`scale=trunc(iw*${height}/ih/2)*2:${height}`);
+  return filters;
+}
+
+function rateArgs(settings, codec) {
+  if (settings.rateControl === 'crf') {
+    // libvpx only treats -crf as constant quality when the bitrate is zero
+    return codec === 'vp9' ? ['-crf', String(settings.crf), '-b:v', '0'] : ['-crf', String(settings.crf)];
+  }
+  return ['-b:v', `${settings.bitrate}k`];
+}
+
+/**
+ * Builds the ffmpeg arguments for an export.
+ * @param {string} inputFilename - The recording, already written to ffmpeg's file system.
+ * @param {Object} settings - Export settings, see DEFAULT_EXPORT.
+ * @param {string[]} [inputOptions] - Options for the input, e.g. ['-f', 'concat'].
+ * @returns {{args: string[], outputFilename: string, mimeType: string}}
+ */
+function buildExportCommand(inputFilename, settings, inputOptions = []) {
+  const options = normaliseExport(settings);
+  const format = FORMATS[options.format];
+  const outputFilename = `output.${format.extension}`;
+  const args = [...inputOptions, '-i', inputFilename];
+
+  if (options.format === 'mp4') {
+    args.push('-vf', videoFilters(options, options.height).join(','));
+    args.push('-c:v', 'libx264', '-preset', 'ultrafast', ...rateArgs(options, 'h264'));
+    args.push('-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart');
+  } else if (options.format === 'webm') {
+    args.push('-vf', videoFilters(options, options.height).join(','));
+    args.push('-c:v', options.vp8 ? 'libvpx' : 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', ...rateArgs(options, 'vp9'));
+    args.push('-c:a', 'libopus', '-b:a', '128k');
+  } else if (options.format === 'm4a') {
+    args.push('-vn', '-c:a', 'aac', '-b:a', '128k');
+  } else {
+    const height = Math.min(options.height, options.clipMaxHeight);
+    const filters = [`fps=${options.clipFps}`, ...videoFilters(options, height)].join(',');
+    args.push('-t', String(options.clipSeconds), '-an');
+    if (options.format === 'gif') {
+      // A palette made from the clip itself looks far better than the default one
+      args.push('-vf', `${filters},split[frames][copy];[copy]palettegen[palette];[frames][palette]paletteuse`);
+      args.push('-loop', '0');
+    } else {
+      args.push('-vf', filters, '-c:v', 'libwebp_anim', '-quality', '75', '-loop', '0');
+    }
+  }
+
+  args.push(outputFilename);
+  return { args, outputFilename, mimeType: format.mimeType };
+}
+
+/**
+ * Settings to retry a failed export with, if there is another way to make it. Some
+ * builds of the single-threaded core crash in the VP9 encoder, so WebM falls back to VP8.
+ * @param {Object} settings
+ * @returns {Object|null}
+ */
+function fallbackExport(settings) {
+  const options = normaliseExport(settings);
+  return options.format === 'webm' && !options.vp8 ? { ...options, vp8: true } : null;
+}
+
+/**
+ * How much of the input an export reads, for working out progress.
+ * @param {Object} settings
+ * @param {number} recordingSeconds
+ * @returns {number}
+ */
+function exportSeconds(settings, recordingSeconds) {
+  const options = normaliseExport(settings);
+  return FORMATS[options.format].clip ? Math.min(options.clipSeconds, recordingSeconds) : recordingSeconds;
+}
+
+/**
+ * Writes a script for ffmpeg's concat demuxer that joins takes, each trimmed to its in
+ * and out points. The demuxer starts each take at the keyframe before its in point.
+ * @param {{filename: string, inPoint: number, outPoint: number, duration: number}[]} takes
+ * @returns {string}
+ */
+function concatList(takes) {
+  return takes
+    .map((take) => {
+      const lines = [`file '${take.filename}'`];
+      if (take.inPoint > 0) lines.push(`inpoint ${take.inPoint.toFixed(3)}`);
+      if (take.outPoint < take.duration) lines.push(`outpoint ${take.outPoint.toFixed(3)}`);
+      return lines.join('\n');
+    })
+    .join('\n')
+    .concat('\n');
+}
+
+/**
+ * @param {{inPoint: number, outPoint: number}[]} takes
+ * @returns {number} Seconds of video left once the takes are trimmed.
+ */
+function trimmedSeconds(takes) {
+  return takes.reduce((total, take) => total + take.outPoint - take.inPoint, 0);
+}
+
+/**
+ * Reads the position from an ffmpeg stats line such as "frame=  42 ... time=00:00:03.20 ...".
+ * @param {string} line
+ * @returns {number|null} Seconds, or null if the line has no time.
+ */
+function logTime(line) {
+  const match = /time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(line);
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+export { FORMATS, HEIGHTS, DEFAULT_EXPORT, normaliseExport, buildExportCommand, fallbackExport, exportSeconds, concatList, trimmedSeconds, logTime };
@@ -0,0 +1,139 @@
+import { openDatabase } from './databases.js';
+
+/**
+ * Keeps the vlog recorder's work across page loads.
+ *
+ * kalvVlog is scratch space for the current session. kalvVlog.recordings holds one record
+ * per take:
+ *   { id, number, mimeType, source, started, duration, inPoint, outPoint, selected, finished }
+ * and kalvVlog.chunks the MediaRecorder data, keyed [recordingId, index], written as it
+ * arrives so a crash loses at most one timeslice. Each chunk carries the take's length
+ * so far (elapsed, in seconds), which is all an unfinished take has to go on.
+ *
+ * kalvVlogLibrary.videos holds the processed exports:
+ *   { id, name, video (Blob), thumbnail (Blob or null), mimeType, format, duration, timestamp (ms) }
+ * It's a database of its own so that disks can include the library without the raw takes.
+ */
+
+const connections = {};
+
+function vlogDb(dbName) {
+  if (!connections[dbName]) {
+    connections[dbName] = openDatabase(dbName, { onClose: () => delete connections[dbName] }).catch((error) => {
+      delete connections[dbName];
+      throw error;
+    });
+  }
+  return connections[dbName];
+}
+
+async function storeRequest(dbName, storeName, mode, makeRequest) {
+  const db = await vlogDb(dbName);
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Every chunk of one recording, whatever its index
+function chunksOf(recordingId) {
+  return IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+}
+
+/**
+ * Saves a new take's record before any of its data arrives.
+ * @param {Object} recording - Needs at least an id.
+ */
+async function createRecording(recording) {
+  await storeRequest('kalvVlog', 'recordings', 'readwrite', (store) => store.put({ finished: false, ...recording }));
+}
+
+/**
+ * @param {string} recordingId
+ * @param {number} index - Chunks are joined in index order.
+ * @param {Blob} data
+ * @param {number} elapsed - Seconds recorded so far.
+ */
+async function saveChunk(recordingId, index, data, elapsed) {
+  await storeRequest('kalvVlog', 'chunks', 'readwrite', (store) => store.put({ recordingId, index, data, elapsed }));
+}
+
+/**
+ * Sets fields on a saved take, if there is one.
+ * @param {string} id
+ * @param {Object} change - e.g. { finished, duration } or { inPoint, outPoint }.
+ */
+async function updateRecording(id, change) {
+  // Read and write in one transaction, so overlapping updates can't undo each other
+  await storeRequest('kalvVlog', 'recordings', 'readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...change });
+    };
+    return request;
+  });
+}
+
+/**
+ * Deletes a take's record and all of its chunks.
+ * @param {string} id
+ */
+async function deleteRecording(id) {
+  await storeRequest('kalvVlog', 'chunks', 'readwrite', (store) => store.delete(chunksOf(id)));
+  await storeRequest('kalvVlog', 'recordings', 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Loads every saved take with its data joined into one Blob. Takes that were still
+ * recording when the page went away are marked finished, with the length their last
+ * chunk reached; ones that never got any data are deleted.
+ * @returns {Promise<Object[]>} Take records plus { blob, recovered }, oldest first.
+ */
+async function loadRecordings() {
+  const recordings = await storeRequest('kalvVlog', 'recordings', 'readonly', (store) => store.getAll());
+  const takes = [];
+
+  for (const recording of recordings.sort((a, b) => a.started - b.started)) {
+    const chunks = await storeRequest('kalvVlog', 'chunks', 'readonly', (store) => store.getAll(chunksOf(recording.id)));
+    if (chunks.length === 0) {
+      await deleteRecording(recording.id);
+      continue;
+    }
+
+    const blob = new Blob(chunks.map((chunk) => chunk.data), { type: recording.mimeType });
+    if (recording.finished) {
+      takes.push({ ...recording, blob, recovered: false });
+      continue;
+    }
+
+    const duration = chunks[chunks.length - 1].elapsed;
+    const change = { finished: true, duration, inPoint: 0, outPoint: duration };
+    await updateRecording(recording.id, change);
+    takes.push({ ...recording, ...change, blob, recovered: true });
+  }
+  return takes;
+}
+
+/**
+ * Adds a processed video to the library.
+ * @param {Object} video - A kalvVlogLibrary.videos record.
+ */
+async function saveVideo(video) {
+  await storeRequest('kalvVlogLibrary', 'videos', 'readwrite', (store) => store.put(video));
+}
+
+/**
+ * @returns {Promise<Object[]>} Every video in the library, newest first.
+ */
+async function listVideos() {
+  const videos = await storeRequest('kalvVlogLibrary', 'videos', 'readonly', (store) => store.getAll());
+  return videos.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+async function deleteVideo(id) {
+  await storeRequest('kalvVlogLibrary', 'videos', 'readwrite', (store) => store.delete(id));
+}
+
+export { createRecording, saveChunk, updateRecording, deleteRecording, loadRecordings, saveVideo, listVideos, deleteVideo };
@@ -0,0 +1,94 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import IndexedDBBackupRestore from '../src/js/IndexedDBBackupRestore.js';
+import { openDatabase } from '../src/js/databases.js';
+import { changeId, getChange } from '../src/js/change-log.js';
+
+const backupRestore = new IndexedDBBackupRestore(['kalvNotesDB']);
+
+function notesRequest(mode, makeRequest) {
+  return openDatabase('kalvNotesDB').then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction('savedText', mode);
+    const request = makeRequest(transaction.objectStore('savedText'));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = (event) => reject(event.target.error);
+  }));
+}
+
+function note(uid, text, updatedAt) {
+  return { uid: uid, text: text, tags: [], timestamp: 1000, updatedAt: updatedAt };
+}
+
+async function notesByUid() {
+  const notes = await notesRequest('readonly', (store) => store.getAll());
+  return new Map(notes.map((item) => [item.uid, item]));
+}
+
+// A disk of notes a and b, then a store where b sits under another key with an older edit, next to c
+async function restoreAgainstExistingNotes() {
+  await notesRequest('readwrite', (store) => store.clear());
+  await notesRequest('readwrite', (store) => store.add(note('a', 'a on disk', 2000)));
+  await notesRequest('readwrite', (store) => store.add(note('b', 'b on disk', 3000)));
+  const disk = await new Response(backupRestore.backup()).blob();
+
+  await notesRequest('readwrite', (store) => store.clear());
+  await notesRequest('readwrite', (store) => store.add(note('c', 'c here', 1000)));
+  await notesRequest('readwrite', (store) => store.add(note('b', 'b here', 1500)));
+  return disk;
+}
+
+test('merge finds existing notes by uid, whatever their local id', async () => {
+  const disk = await restoreAgainstExistingNotes();
+  const localB = (await notesByUid()).get('b');
+
+  const preview = await backupRestore.restore(disk, { mode: 'merge', dryRun: true, snapshotFirst: false });
+  assert.deepEqual(preview.stores['kalvNotesDB.savedText'], { added: 1, updated: 1, skipped: 0, removed: 0 });
+
+  const report = await backupRestore.restore(disk, { mode: 'merge', snapshotFirst: false });
+  assert.deepEqual(report.stores['kalvNotesDB.savedText'], { added: 1, updated: 1, skipped: 0, removed: 0 });
+
+  const notes = await notesByUid();
+  assert.deepEqual([...notes.keys()].sort(), ['a', 'b', 'c']);
+  assert.equal(notes.get('b').text, 'b on disk');
+  assert.equal(notes.get('b').id, localB.id);
+  assert.ok(await getChange(changeId('kalvNotesDB', 'savedText', 'a')), 'restored notes are in the change log');
+
+  const again = await backupRestore.restore(disk, { mode: 'merge', snapshotFirst: false });
+  assert.deepEqual(again.stores['kalvNotesDB.savedText'], { added: 0, updated: 0, skipped: 2, removed: 0 });
+});
+
+test('append restores notes as new ones with fresh uids', async () => {
+  const disk = await restoreAgainstExistingNotes();
+
+  const preview = await backupRestore.restore(disk, { mode: 'append', dryRun: true, snapshotFirst: false });
+  assert.deepEqual(preview.stores['kalvNotesDB.savedText'], { added: 2, updated: 0, skipped: 0, removed: 0 });
+
+  await backupRestore.restore(disk, { mode: 'append', snapshotFirst: false });
+  const notes = await notesRequest('readonly', (store) => store.getAll());
+  assert.equal(notes.length, 4);
+  assert.equal(new Set(notes.map((item) => item.uid)).size, 4);
+  assert.deepEqual(notes.map((item) => item.text).sort(), ['a on disk', 'b here', 'b on disk', 'c here']);
+});
+
+test('replace only empties the databases on the disk', async () => {
+  const withLibrary = new IndexedDBBackupRestore(['kalvNotesDB', 'kalvVlogLibrary']);
+  const db = await openDatabase('kalvVlogLibrary');
+  await new Promise((resolve) => {
+    const transaction = db.transaction('videos', 'readwrite');
+    transaction.objectStore('videos').put({ id: 'video', timestamp: 1000 });
+    transaction.oncomplete = () => resolve();
+  });
+  db.close();
+
+  const disk = await restoreAgainstExistingNotes();
+  const report = await withLibrary.restore(disk, { mode: 'replace', snapshotFirst: false });
+  assert.equal(report.stores['kalvVlogLibrary.videos'], undefined);
+  assert.deepEqual([...(await notesByUid()).keys()].sort(), ['a', 'b']);
+
+  const library = await new Response(withLibrary.backup({ dbNames: ['kalvVlogLibrary'] })).blob();
+  assert.match(await library.text(), /"id":"video"/);
+});
@@ -0,0 +1,33 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../src/js/databases.js';
+
+test('windowImage upgrades data URL images to Blobs once', async () => {
+  // An image as it was stored at version 2, before Blob support
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.open('windowImage', 2);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore('images', { keyPath: 'id' });
+      store.createIndex('timestamp', 'timestamp');
+      store.put({ id: 'old', name: 'old.png', data: `data:image/png;base64,${btoa('png bytes')}`, timestamp: new Date(1000) });
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  const db = await openDatabase('windowImage');
+  const image = await new Promise((resolve) => {
+    const request = db.transaction('images').objectStore('images').get('old');
+    request.onsuccess = () => resolve(request.result);
+  });
+  db.close();
+
+  assert.equal(image.data, undefined);
+  assert.equal(image.original.type, 'image/png');
+  assert.equal(await image.original.text(), 'png bytes');
+  assert.equal(image.timestamp, 1000);
+});
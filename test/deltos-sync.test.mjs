@@ -0,0 +1,92 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DeltosSync from '../src/js/DeltosSync.js';
+import { openDatabase } from '../src/js/databases.js';
+import { changeId } from '../src/js/change-log.js';
+
+globalThis.window = new EventTarget();
+
+const sync = new DeltosSync({ trackers: [] });
+
+// A peer as the wire extension presents it, recording what is sent back
+function fakePeer() {
+  return { incoming: new Map(), sent: [], send(message) { this.sent.push(message); } };
+}
+
+function encode(message, payload = new Uint8Array(0)) {
+  const json = new TextEncoder().encode(JSON.stringify(message));
+  const bytes = new Uint8Array(4 + json.length + payload.length);
+  new DataView(bytes.buffer).setUint32(0, json.length);
+  bytes.set(json, 4);
+  bytes.set(payload, 4 + json.length);
+  return bytes;
+}
+
+function entry(dbName, storeName, uid) {
+  return { id: changeId(dbName, storeName, uid), dbName, storeName, uid, updatedAt: Date.now(), deleted: false };
+}
+
+async function getRecord(dbName, storeName, indexName, key) {
+  const db = await openDatabase(dbName);
+  return new Promise((resolve) => {
+    const store = db.transaction(storeName).objectStore(storeName);
+    const request = indexName ? store.index(indexName).get(key) : store.get(key);
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result);
+    };
+  });
+}
+
+test('a valid note record is applied', async () => {
+  const value = { uid: 'note-1', text: 'hello #sync', tags: ['sync'], timestamp: 1000, updatedAt: 1000 };
+  await sync._onMessage(fakePeer(), encode({ type: 'record', entry: entry('kalvNotesDB', 'savedText', 'note-1'), value, blobs: [] }));
+
+  const note = await getRecord('kalvNotesDB', 'savedText', 'uid', 'note-1');
+  assert.equal(note.text, 'hello #sync');
+});
+
+test('records that do not fit their store are ignored', async () => {
+  const peer = fakePeer();
+  const bad = [
+    { entry: entry('kalvNotesDB', 'savedText', 'note-2'), value: { uid: 'other', text: 'x', tags: [], timestamp: 1 } },
+    { entry: entry('kalvNotesDB', 'savedText', 'note-2'), value: { uid: 'note-2', text: 'x', tags: [], timestamp: '1970-01-01' } },
+    { entry: entry('kalvNotesDB', 'savedText', 'note-2'), value: { uid: 'note-2', text: 'x', tags: [], timestamp: 1, extra: true } },
+    { entry: { ...entry('kalvNotesDB', 'savedText', 'note-2'), id: 'kalvSync/changes/note-2' }, value: { uid: 'note-2', text: 'x', tags: [], timestamp: 1 } },
+    { entry: entry('kalvSnapshots', 'snapshots', 'note-2'), value: { uid: 'note-2' } },
+  ];
+  for (const message of bad) {
+    await sync._onMessage(peer, encode({ type: 'record', blobs: [], ...message }));
+  }
+
+  assert.equal(await getRecord('kalvNotesDB', 'savedText', 'uid', 'note-2'), undefined);
+});
+
+test('an image arrives in chunks, within its declared size', async () => {
+  const peer = fakePeer();
+  const value = { id: 'image-1', name: 'a.png', original: null, display: null, width: null, height: null, timestamp: 1000 };
+  const blobs = [{ key: 'original', type: 'image/png', size: 6 }];
+  await sync._onMessage(peer, encode({ type: 'record', entry: entry('windowImage', 'images', 'image-1'), value, blobs, transfer: 1 }));
+  await sync._onMessage(peer, encode({ type: 'chunk', transfer: 1 }, new TextEncoder().encode('abc')));
+  await sync._onMessage(peer, encode({ type: 'chunk', transfer: 1 }, new TextEncoder().encode('def')));
+
+  const image = await getRecord('windowImage', 'images', null, 'image-1');
+  assert.equal(await image.original.text(), 'abcdef');
+  assert.equal(image.original.type, 'image/png');
+  assert.equal(peer.incoming.size, 0);
+});
+
+test('declared sizes are capped and extra bytes drop the record', async () => {
+  const peer = fakePeer();
+  const value = { id: 'image-2', name: 'b.png', original: null, display: null, width: null, height: null, timestamp: 1000 };
+  const huge = [{ key: 'original', type: 'image/png', size: 1024 * 1024 * 1024 }];
+  await sync._onMessage(peer, encode({ type: 'record', entry: entry('windowImage', 'images', 'image-2'), value, blobs: huge, transfer: 2 }));
+  assert.equal(peer.incoming.size, 0);
+
+  const small = [{ key: 'original', type: 'image/png', size: 2 }];
+  await sync._onMessage(peer, encode({ type: 'record', entry: entry('windowImage', 'images', 'image-2'), value, blobs: small, transfer: 3 }));
+  await sync._onMessage(peer, encode({ type: 'chunk', transfer: 3 }, new TextEncoder().encode('too long')));
+  assert.equal(peer.incoming.size, 0);
+  assert.equal(await getRecord('windowImage', 'images', null, 'image-2'), undefined);
+});
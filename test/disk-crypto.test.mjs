@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEncryption, openEncryption, encryptChunks, decryptChunks } from '../src/js/disk-crypto.js';
+import ByteStreamReader from '../src/js/ByteStreamReader.js';
+
+async function* frames(count, size) {
+  for (let i = 0; i < count; i++) yield new Uint8Array(size).fill(i % 256);
+}
+
+async function collect(chunks) {
+  const parts = [];
+  for await (const chunk of chunks) parts.push(chunk);
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
+
+test('many small frames survive an encrypt and decrypt round trip', async () => {
+  const { key, encryption } = await createEncryption('secret');
+  const sealed = await collect(encryptChunks(key, frames(30000, 100)));
+
+  const reader = new ByteStreamReader(new Blob([sealed]).stream());
+  const opened = await openEncryption('secret', encryption);
+  const plain = await collect(decryptChunks(opened, reader));
+
+  assert.deepEqual(plain, await collect(frames(30000, 100)));
+});
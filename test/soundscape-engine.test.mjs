@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SoundscapeEngine from '../src/js/SoundscapeEngine.js';
+
+// Just enough AudioContext for the master gain, recording what is scheduled on it
+function fakeContext() {
+  const events = [];
+  const gain = {
+    value: 1,
+    cancelScheduledValues(time) { events.splice(0, events.length, ...events.filter((event) => event.time < time)); },
+    setTargetAtTime(value, time) { events.push({ type: 'target', value, time }); },
+    setValueAtTime(value, time) { events.push({ type: 'set', value, time }); },
+    linearRampToValueAtTime(value, time) { events.push({ type: 'ramp', value, time }); },
+  };
+  return { currentTime: 0, destination: {}, events, createGain: () => ({ gain, connect() {} }) };
+}
+
+test('the volume setting still applies while a sleep fade is pending', () => {
+  const context = fakeContext();
+  const engine = new SoundscapeEngine(context, 'reef', { volume: 0.8 });
+  engine.fadeOut(100, 30);
+  assert.equal(engine.fadingOut, false);
+
+  context.currentTime = 10;
+  engine.update({ volume: 0.3 });
+  assert.deepEqual(context.events.slice(-3), [
+    { type: 'target', value: 0.3, time: 10 },
+    { type: 'set', value: 0.3, time: 100 },
+    { type: 'ramp', value: 0, time: 130 },
+  ]);
+
+  context.currentTime = 110;
+  assert.equal(engine.fadingOut, true);
+  const scheduled = context.events.length;
+  engine.update({ volume: 1 });
+  assert.equal(context.events.length, scheduled, 'a fade under way is left alone');
+
+  engine.cancelFadeOut();
+  assert.equal(engine.fadingOut, false);
+  assert.deepEqual(context.events.at(-1), { type: 'target', value: 1, time: 110 });
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { parseTorrentFile } from '../src/js/torrent-id.js';
+
+const latin1 = (text) => Buffer.from(text, 'latin1');
+
+test('parseTorrentFile hashes the info dictionary', async () => {
+  const info = Buffer.concat([latin1('d6:lengthi5e4:name9:hello.txt12:piece lengthi16384e6:pieces20:'), Buffer.alloc(20, 7), latin1('e')]);
+  const file = new File([latin1('d8:announce20:ws://localhost:8000/4:info'), info, latin1('e')], 'hello.torrent');
+
+  const parsed = await parseTorrentFile(file);
+  assert.equal(parsed.infoHash, createHash('sha1').update(info).digest('hex'));
+  assert.equal(parsed.name, 'hello.txt');
+  assert.equal(parsed.torrentId, file);
+});
+
+test('parseTorrentFile rejects files that are not bencoded torrents', async () => {
+  for (const contents of ['not bencode', 'd4:info', 'd4:infoi1ee', 'd4:infod4:name1:aee', 'd4:infod4:name1:a6:pieces0:eejunk']) {
+    await assert.rejects(parseTorrentFile(new File([contents], 'bad.torrent')), /damaged or not a torrent file/);
+  }
+});
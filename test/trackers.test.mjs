@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withoutMagnetTrackers } from '../src/js/trackers.js';
+
+test('withoutMagnetTrackers drops only the tr= pairs, leaving the rest as written', () => {
+  const hash = '08ada5a7a6183aae1e09d831df6748d566095a10';
+  const magnet = `magnet:?xt=urn:btih:${hash}&dn=Sintel%20Movie&tr=wss%3A%2F%2Ftracker.btorrent.xyz&tr=wss%3A%2F%2Ftracker.webtorrent.dev&xs=https%3A%2F%2Fexample.com%2Fsintel.torrent`;
+  assert.equal(withoutMagnetTrackers(magnet), `magnet:?xt=urn:btih:${hash}&dn=Sintel%20Movie&xs=https%3A%2F%2Fexample.com%2Fsintel.torrent`);
+  assert.equal(withoutMagnetTrackers(hash), hash);
+});
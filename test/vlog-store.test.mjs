@@ -0,0 +1,22 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecording, saveChunk, updateRecording, loadRecordings } from '../src/js/vlog-store.js';
+
+test('overlapping updateRecording calls keep each other\'s fields', async () => {
+  await createRecording({ id: 'take', number: 1, mimeType: 'video/webm', started: 1000 });
+  await saveChunk('take', 0, new Blob(['data']), 2);
+
+  await Promise.all([
+    updateRecording('take', { finished: true, duration: 2 }),
+    updateRecording('take', { inPoint: 0.5, outPoint: 1.5 }),
+    updateRecording('missing', { finished: true }),
+  ]);
+
+  const [take] = await loadRecordings();
+  assert.equal(take.id, 'take');
+  assert.equal(take.finished, true);
+  assert.equal(take.duration, 2);
+  assert.equal(take.inPoint, 0.5);
+  assert.equal(take.outPoint, 1.5);
+});